@@ -2,14 +2,24 @@
  * CrossRef API client
  */
 
+import { fetchWithRetry } from '../utils/retry.js';
+import { cachedLookup } from '../utils/lookup-cache.js';
+
+/**
+ * Lookup DOI in CrossRef (read through the local lookup cache)
+ */
+export function lookupDOI(doi, userEmail = '', signal = null) {
+    return cachedLookup('crossref', 'doi', doi, () => fetchDOI(doi, userEmail, signal));
+}
+
 /**
- * Lookup DOI in CrossRef
+ * Fetch a DOI from CrossRef
  */
-export async function lookupDOI(doi, userEmail = '') {
+async function fetchDOI(doi, userEmail, signal) {
     const mailto = userEmail ? `mailto=${encodeURIComponent(userEmail)}` : '';
     const url = `https://api.crossref.org/works/${encodeURIComponent(doi)}${mailto ? '?' + mailto : ''}`;
 
-    const response = await fetch(url);
+    const response = await fetchWithRetry(url, { signal }, 'CrossRef');
     if (!response.ok) {
         if (response.status === 404) return null;
         throw new Error(`CrossRef error: ${response.status}`);
@@ -20,13 +30,20 @@ export async function lookupDOI(doi, userEmail = '') {
 }
 
 /**
- * Search CrossRef using bibliographic query
+ * Search CrossRef using bibliographic query (read through the local lookup cache)
+ */
+export function searchBibliographic(query, userEmail = '', signal = null) {
+    return cachedLookup('crossref', 'query', query, () => fetchBibliographic(query, userEmail, signal));
+}
+
+/**
+ * Run a bibliographic search on CrossRef
  */
-export async function searchBibliographic(query, userEmail = '') {
+async function fetchBibliographic(query, userEmail, signal) {
     const mailto = userEmail ? `mailto=${encodeURIComponent(userEmail)}` : '';
     const url = `https://api.crossref.org/works?query.bibliographic=${encodeURIComponent(query)}&rows=5${mailto ? '&' + mailto : ''}`;
 
-    const response = await fetch(url);
+    const response = await fetchWithRetry(url, { signal }, 'CrossRef');
     if (!response.ok) {
         throw new Error(`CrossRef search error: ${response.status}`);
     }
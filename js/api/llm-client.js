@@ -1,22 +1,37 @@
 /**
- * LLM API client for OpenAI and Google
+ * LLM API client for OpenAI, Google, Anthropic and local models (Ollama, llama.cpp server)
  */
 
-import { DEFAULT_ENDPOINTS } from '../config/constants.js';
+import { DEFAULT_ENDPOINTS, ANTHROPIC_VERSION, ANTHROPIC_MAX_TOKENS, LOCAL_PROVIDERS } from '../config/constants.js';
+import { JSON_ARRAY_GRAMMAR } from '../config/grammar.js';
+import { EXTRACTION_SCHEMA, EXTRACTION_RESPONSE_SCHEMA } from '../config/schema.js';
+import { JSON_CORRECTION_PROMPT } from '../config/prompt.js';
+import { parseTolerantJSON } from '../utils/json-repair.js';
+import { fetchWithRetry } from '../utils/retry.js';
+import { createCache, hashKey } from '../utils/idb-cache.js';
+
+/**
+ * Parsed citations per window request, so unchanged windows are not sent to the LLM again
+ */
+const extractionCache = createCache('llmCache');
+
+/**
+ * Ollama's JSON mode only produces objects, so the array is wrapped
+ */
+const OLLAMA_JSON_INSTRUCTION = '\n\nRespond with a JSON object of the form {"citations": [...]} containing the array described above.';
 
 /**
  * Fetch available models from the endpoint
  */
 export async function fetchModels(provider, endpoint, apiKey) {
-    if (!endpoint || !apiKey) {
+    if (!endpoint) {
+        throw new Error('Please enter the endpoint URL to fetch models.');
+    }
+    if (!apiKey && providerRequiresApiKey(provider)) {
         throw new Error('Please enter both endpoint URL and API key to fetch models.');
     }
 
-    if (provider === 'openai') {
-        return await fetchOpenAIModels(endpoint, apiKey);
-    } else {
-        return await fetchGoogleModels(endpoint, apiKey);
-    }
+    return await getProvider(provider).fetchModels(endpoint, apiKey);
 }
 
 /**
@@ -75,34 +90,181 @@ async function fetchGoogleModels(endpoint, apiKey) {
     }));
 }
 
+/**
+ * Build request headers for the Anthropic API.
+ * Direct browser access has to be enabled explicitly for CORS.
+ */
+function getAnthropicHeaders(apiKey) {
+    return {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'anthropic-dangerous-direct-browser-access': 'true',
+        'Content-Type': 'application/json'
+    };
+}
+
+/**
+ * Fetch models from Anthropic endpoint
+ */
+async function fetchAnthropicModels(endpoint, apiKey) {
+    let modelsUrl = endpoint.replace(/\/$/, '');
+    if (!modelsUrl.endsWith('/models')) {
+        modelsUrl += '/models';
+    }
+    modelsUrl += '?limit=100';
+
+    const response = await fetch(modelsUrl, {
+        method: 'GET',
+        headers: getAnthropicHeaders(apiKey)
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return (data.data || []).map(m => ({
+        id: m.id,
+        name: m.display_name || m.id
+    }));
+}
+
+/**
+ * Fetch installed models from an Ollama server
+ */
+async function fetchOllamaModels(endpoint) {
+    const response = await fetch(`${endpoint.replace(/\/$/, '')}/api/tags`, {
+        method: 'GET'
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return (data.models || []).map(m => ({
+        id: m.model || m.name,
+        name: m.details?.parameter_size ? `${m.name} (${m.details.parameter_size})` : m.name
+    }));
+}
+
+/**
+ * Build request headers for llama.cpp server (the API key is optional)
+ */
+function getLlamaCppHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+}
+
+/**
+ * Fetch loaded models from a llama.cpp server
+ */
+async function fetchLlamaCppModels(endpoint, apiKey) {
+    const response = await fetch(`${endpoint.replace(/\/$/, '')}/v1/models`, {
+        method: 'GET',
+        headers: getLlamaCppHeaders(apiKey)
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return (data.data || []).map(m => ({
+        id: m.id,
+        name: m.id.split(/[\\/]/).pop()
+    }));
+}
+
+/**
+ * Convert a JSON Schema to the OpenAPI subset accepted by Gemini's responseSchema
+ */
+function toGeminiSchema(schema) {
+    const converted = { type: schema.type.toUpperCase() };
+    if (schema.enum) {
+        converted.format = 'enum';
+        converted.enum = schema.enum;
+    }
+    if (schema.items) {
+        converted.items = toGeminiSchema(schema.items);
+    }
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, prop]) => [key, toGeminiSchema(prop)])
+        );
+    }
+    if (schema.required) {
+        converted.required = schema.required;
+    }
+    return converted;
+}
+
+/**
+ * Chat completion URLs that rejected response_format - requested without it from then on
+ */
+const structuredOutputUnsupported = new Set();
+
 /**
  * Call OpenAI-compatible API
+ * Requests structured output; if the request is rejected (400/422) it is retried without
+ * response_format, and the endpoint is remembered when that succeeds.
  */
-export async function callOpenAIAPI(endpoint, apiKey, model, systemPrompt, userMessage) {
+export async function callOpenAIAPI(endpoint, apiKey, model, systemPrompt, userMessage, signal = null) {
     let url = endpoint.replace(/\/$/, '');
     if (!url.endsWith('/chat/completions')) {
         url += '/chat/completions';
     }
 
-    const response = await fetch(url, {
+    const body = {
+        model: model,
+        messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userMessage }
+        ],
+        temperature: 0.1
+    };
+    const structuredOutput = !structuredOutputUnsupported.has(url);
+    if (structuredOutput) {
+        body.response_format = {
+            type: 'json_schema',
+            json_schema: {
+                name: 'citations',
+                schema: EXTRACTION_RESPONSE_SCHEMA
+            }
+        };
+    }
+
+    const request = () => fetchWithRetry(url, {
         method: 'POST',
+        signal,
         headers: {
             'Authorization': `Bearer ${apiKey}`,
             'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userMessage }
-            ],
-            temperature: 0.1
-        })
-    });
+        body: JSON.stringify(body)
+    }, 'LLM API');
+
+    let response = await request();
 
     if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`LLM API error: ${response.status} - ${errorText}`);
+        // Servers reject unknown parameters in different ways (400 or 422, with or without naming it)
+        if (!structuredOutput || (response.status !== 400 && response.status !== 422)) {
+            throw new Error(`LLM API error: ${response.status} - ${errorText}`);
+        }
+
+        console.warn(`LLM API returned ${response.status} for a structured output request, retrying without response_format`);
+        delete body.response_format;
+        response = await request();
+
+        if (!response.ok) {
+            const retryErrorText = await response.text();
+            throw new Error(`LLM API error: ${response.status} - ${retryErrorText}`);
+        }
+        structuredOutputUnsupported.add(url);
     }
 
     const data = await response.json();
@@ -112,13 +274,14 @@ export async function callOpenAIAPI(endpoint, apiKey, model, systemPrompt, userM
 /**
  * Call Google AI Studio API
  */
-export async function callGoogleAPI(endpoint, apiKey, model, systemPrompt, userMessage) {
+export async function callGoogleAPI(endpoint, apiKey, model, systemPrompt, userMessage, signal = null) {
     let url = endpoint.replace(/\/$/, '');
     const modelPath = model.startsWith('models/') ? model : `models/${model}`;
     url = `${url}/${modelPath}:generateContent?key=${apiKey}`;
 
-    const response = await fetch(url, {
+    const response = await fetchWithRetry(url, {
         method: 'POST',
+        signal,
         headers: {
             'Content-Type': 'application/json'
         },
@@ -131,10 +294,12 @@ export async function callGoogleAPI(endpoint, apiKey, model, systemPrompt, userM
                 }
             ],
             generationConfig: {
-                temperature: 0.1
+                temperature: 0.1,
+                responseMimeType: 'application/json',
+                responseSchema: toGeminiSchema({ type: 'array', items: EXTRACTION_SCHEMA })
             }
         })
-    });
+    }, 'Google API');
 
     if (!response.ok) {
         const errorText = await response.text();
@@ -146,47 +311,251 @@ export async function callGoogleAPI(endpoint, apiKey, model, systemPrompt, userM
 }
 
 /**
- * Extract citations from a window using LLM
+ * Call Anthropic Messages API
  */
-export async function extractCitationsFromWindow(settings, win) {
-    const prompt = settings.extractionPrompt
-        .replace('{START_LINE}', win.startLine + 1)
-        .replace('{END_LINE}', win.endLine)
-        .replace('{WINDOW_SIZE}', settings.windowSize)
-        .replace('{OVERLAP_LINES}', settings.overlap);
+export async function callAnthropicAPI(endpoint, apiKey, model, systemPrompt, userMessage, signal = null) {
+    let url = endpoint.replace(/\/$/, '');
+    if (!url.endsWith('/messages')) {
+        url += '/messages';
+    }
 
-    const userMessage = win.text;
+    const response = await fetchWithRetry(url, {
+        method: 'POST',
+        signal,
+        headers: getAnthropicHeaders(apiKey),
+        body: JSON.stringify({
+            model: model,
+            max_tokens: ANTHROPIC_MAX_TOKENS,
+            system: systemPrompt,
+            messages: [
+                { role: 'user', content: userMessage }
+            ],
+            temperature: 0.1
+        })
+    }, 'Anthropic API');
 
-    let response;
-    if (settings.llmProvider === 'openai') {
-        response = await callOpenAIAPI(
-            settings.llmEndpoint,
-            settings.llmApiKey,
-            settings.llmModel,
-            prompt,
-            userMessage
-        );
-    } else {
-        response = await callGoogleAPI(
-            settings.llmEndpoint,
-            settings.llmApiKey,
-            settings.llmModel,
-            prompt,
-            userMessage
-        );
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Anthropic API error: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    return (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+}
+
+/**
+ * Call Ollama chat API with JSON mode
+ */
+export async function callOllamaAPI(endpoint, apiKey, model, systemPrompt, userMessage, signal = null) {
+    const response = await fetchWithRetry(`${endpoint.replace(/\/$/, '')}/api/chat`, {
+        method: 'POST',
+        signal,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            model: model,
+            messages: [
+                { role: 'system', content: systemPrompt + OLLAMA_JSON_INSTRUCTION },
+                { role: 'user', content: userMessage }
+            ],
+            format: 'json',
+            stream: false,
+            options: {
+                temperature: 0.1
+            }
+        })
+    }, 'Ollama');
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Ollama API error: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    return data.message?.content || '';
+}
+
+/**
+ * Call llama.cpp server chat API with grammar-constrained output
+ */
+export async function callLlamaCppAPI(endpoint, apiKey, model, systemPrompt, userMessage, signal = null) {
+    const response = await fetchWithRetry(`${endpoint.replace(/\/$/, '')}/v1/chat/completions`, {
+        method: 'POST',
+        signal,
+        headers: getLlamaCppHeaders(apiKey),
+        body: JSON.stringify({
+            model: model,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userMessage }
+            ],
+            grammar: JSON_ARRAY_GRAMMAR,
+            temperature: 0.1
+        })
+    }, 'llama.cpp');
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`llama.cpp API error: ${response.status} - ${errorText}`);
     }
 
-    // Parse JSON from response
+    const data = await response.json();
+    return data.choices[0].message.content;
+}
+
+/**
+ * Provider implementations: model listing and chat call
+ */
+const PROVIDERS = {
+    openai: { fetchModels: fetchOpenAIModels, call: callOpenAIAPI },
+    google: { fetchModels: fetchGoogleModels, call: callGoogleAPI },
+    anthropic: { fetchModels: fetchAnthropicModels, call: callAnthropicAPI },
+    ollama: { fetchModels: fetchOllamaModels, call: callOllamaAPI },
+    llamacpp: { fetchModels: fetchLlamaCppModels, call: callLlamaCppAPI }
+};
+
+/**
+ * Get the implementation of a provider (Google is the default)
+ */
+function getProvider(provider) {
+    return PROVIDERS[provider] || PROVIDERS.google;
+}
+
+/**
+ * Replace every occurrence of the known {PLACEHOLDER}s in a prompt template
+ */
+function fillPromptPlaceholders(template, values) {
+    return template.replace(/\{([A-Z_]+)\}/g, (match, key) =>
+        Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match
+    );
+}
+
+/**
+ * Prefix each line of the window with its line number in the full text ("12 | text")
+ */
+function formatNumberedLines(win) {
+    return win.text
+        .split(/\r\n|\r|\n/)
+        .map((line, i) => `${win.startLine + i} | ${line}`)
+        .join('\n');
+}
+
+/**
+ * Parse the citations array from an LLM response.
+ * Accepts a bare array or an object wrapping it ({"citations": [...]}), repairing malformed JSON.
+ * @throws {Error} - If the response does not contain a citations array
+ */
+function parseCitationsResponse(response) {
+    let parsed;
     try {
-        const jsonMatch = response.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
-        }
-        return JSON.parse(response);
+        parsed = parseTolerantJSON(response);
     } catch (e) {
-        console.error('Failed to parse LLM response:', response);
-        throw new Error('LLM returned invalid JSON');
+        throw new Error(`invalid JSON: ${e.message}`);
+    }
+
+    if (Array.isArray(parsed)) return parsed;
+    if (Array.isArray(parsed?.citations)) return parsed.citations;
+    throw new Error('JSON is not an array of citations');
+}
+
+/**
+ * Build the follow-up message asking the model to re-emit a response as valid JSON
+ */
+function buildCorrectionMessage(userMessage, response, parseError) {
+    const instruction = fillPromptPlaceholders(JSON_CORRECTION_PROMPT, { PARSE_ERROR: parseError.message });
+    return `${userMessage}\n\n---\nPrevious response:\n${response}\n---\n\n${instruction}`;
+}
+
+/**
+ * Extract citations from a window using LLM.
+ * Results are cached by a hash of the numbered window text, resolved prompt, provider and model;
+ * settings.forceReextract skips the cache lookup (the fresh result replaces the cached one).
+ * Malformed JSON is repaired; if that fails the model is asked once to re-emit valid JSON.
+ * Errors thrown after both attempts carry the raw responses in `rawResponses` and are not cached.
+ * @param {AbortSignal} signal - Optional; aborts the in-flight request
+ * @returns {Promise<{citations: Array<Object>, fromCache: boolean}>}
+ */
+export async function extractCitationsFromWindow(settings, win, signal = null) {
+    const prompt = fillPromptPlaceholders(settings.extractionPrompt, {
+        START_LINE: win.startLine,
+        END_LINE: win.endLine,
+        WINDOW_SIZE: settings.windowSize,
+        OVERLAP_LINES: settings.overlap
+    });
+
+    const userMessage = formatNumberedLines(win);
+
+    const cacheKey = await hashKey([userMessage, prompt, settings.llmProvider, settings.llmModel]);
+    if (cacheKey && !settings.forceReextract) {
+        const entry = await extractionCache.get(cacheKey);
+        if (entry) return { citations: entry.value, fromCache: true };
+    }
+
+    const citations = await requestCitations(settings, prompt, userMessage, signal);
+    if (cacheKey) {
+        extractionCache.set(cacheKey, citations);
     }
+    return { citations, fromCache: false };
+}
+
+/**
+ * Send a window to the LLM and parse the citations, asking once for a correction if the JSON is broken
+ */
+async function requestCitations(settings, prompt, userMessage, signal) {
+    const provider = getProvider(settings.llmProvider);
+    const callLLM = (message) => provider.call(
+        settings.llmEndpoint,
+        settings.llmApiKey,
+        settings.llmModel,
+        prompt,
+        message,
+        signal
+    );
+
+    const response = await callLLM(userMessage);
+
+    let parseError;
+    try {
+        return parseCitationsResponse(response);
+    } catch (e) {
+        parseError = e;
+    }
+
+    console.warn(`Failed to parse LLM response (${parseError.message}), asking the model to correct it:`, response);
+    const rawResponses = [response];
+
+    try {
+        const retryResponse = await callLLM(buildCorrectionMessage(userMessage, response, parseError));
+        rawResponses.push(retryResponse);
+        return parseCitationsResponse(retryResponse);
+    } catch (e) {
+        if (signal?.aborted) throw e;
+        console.error('Failed to parse corrected LLM response:', rawResponses[rawResponses.length - 1]);
+        const error = new Error(rawResponses.length > 1
+            ? `LLM returned ${e.message} (also after asking it to correct the JSON)`
+            : `LLM returned ${parseError.message}; correction request failed: ${e.message}`);
+        error.rawResponses = rawResponses;
+        throw error;
+    }
+}
+
+/**
+ * Get the number of cached window extractions and their approximate size
+ * @returns {Promise<{entries: number, bytes: number}>}
+ */
+export function getExtractionCacheStats() {
+    return extractionCache.stats();
+}
+
+/**
+ * Remove all cached window extractions
+ */
+export function clearExtractionCache() {
+    return extractionCache.clear();
 }
 
 /**
@@ -195,3 +564,10 @@ export async function extractCitationsFromWindow(settings, win) {
 export function getDefaultEndpoint(provider) {
     return DEFAULT_ENDPOINTS[provider] || '';
 }
+
+/**
+ * Check whether a provider needs an API key (local servers do not)
+ */
+export function providerRequiresApiKey(provider) {
+    return !LOCAL_PROVIDERS.includes(provider);
+}
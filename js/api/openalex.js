@@ -2,15 +2,25 @@
  * OpenAlex API client
  */
 
+import { fetchWithRetry } from '../utils/retry.js';
+import { cachedLookup } from '../utils/lookup-cache.js';
+
+/**
+ * Lookup DOI in OpenAlex (read through the local lookup cache)
+ */
+export function lookupDOI(doi, userEmail = '', signal = null) {
+    return cachedLookup('openalex', 'doi', doi, () => fetchDOI(doi, userEmail, signal));
+}
+
 /**
- * Lookup DOI in OpenAlex
+ * Fetch a DOI from OpenAlex
  */
-export async function lookupDOI(doi, userEmail = '') {
+async function fetchDOI(doi, userEmail, signal) {
     const mailto = userEmail ? `mailto=${encodeURIComponent(userEmail)}` : '';
     const fullDoi = doi.startsWith('http') ? doi : `https://doi.org/${doi}`;
     const url = `https://api.openalex.org/works/${encodeURIComponent(fullDoi)}${mailto ? '?' + mailto : ''}`;
 
-    const response = await fetch(url);
+    const response = await fetchWithRetry(url, { signal }, 'OpenAlex');
     if (!response.ok) {
         if (response.status === 404) return null;
         throw new Error(`OpenAlex error: ${response.status}`);
@@ -20,13 +30,20 @@ export async function lookupDOI(doi, userEmail = '') {
 }
 
 /**
- * Lookup PMID in OpenAlex
+ * Lookup PMID in OpenAlex (read through the local lookup cache)
+ */
+export function lookupPMID(pmid, userEmail = '', signal = null) {
+    return cachedLookup('openalex', 'pmid', pmid, () => fetchPMID(pmid, userEmail, signal));
+}
+
+/**
+ * Fetch a PMID from OpenAlex
  */
-export async function lookupPMID(pmid, userEmail = '') {
+async function fetchPMID(pmid, userEmail, signal) {
     const mailto = userEmail ? `mailto=${encodeURIComponent(userEmail)}` : '';
     const url = `https://api.openalex.org/works/pmid:${pmid}${mailto ? '?' + mailto : ''}`;
 
-    const response = await fetch(url);
+    const response = await fetchWithRetry(url, { signal }, 'OpenAlex');
     if (!response.ok) {
         if (response.status === 404) return null;
         throw new Error(`OpenAlex error: ${response.status}`);
@@ -2,15 +2,45 @@
  * Main application entry point
  */
 
-import { DEBOUNCE_DELAY } from './config/constants.js';
-import { SettingsManager } from './state/settings.js';
-import { createExtractionState, clearExtractions, buildLineExtractionMap } from './state/extraction-state.js';
-import { processAllWindows } from './services/extraction-processor.js';
+import { DEBOUNCE_DELAY, RUN_SAVE_DELAY, CATEGORY_LABELS, CATEGORY_COLORS } from './config/constants.js';
+import { SettingsManager, isReadyToProcess } from './state/settings.js';
+import {
+    createExtractionState,
+    clearExtractions,
+    addExtraction,
+    buildLineExtractionMap,
+    cancelProcessing,
+    pauseProcessing,
+    resumeProcessing,
+    setReviewVerdict,
+    getResultCategory
+} from './state/extraction-state.js';
+import { processAllWindows, revalidateExtraction, reextractWindow, correctExtraction } from './services/extraction-processor.js';
+import { getExtractionCacheStats, clearExtractionCache } from './api/llm-client.js';
 import { renderTextDisplay, addWindowHoverListeners, renderStats } from './components/text-display.js';
 import { renderMarkersOverlay, addMarkerHoverListeners } from './components/markers.js';
-import { renderExtractionCard, renderErrorCard, collapseAllCards } from './components/extraction-cards.js';
+import { renderExtractionCard, renderErrorCard, collapseAllCards, setCardBusy } from './components/extraction-cards.js';
+import { renderPieSVG } from './components/stats-pie.js';
 import { updateProgress, updateProgressDetails, showProgress } from './components/progress.js';
 import { switchTab, switchToReadOnlyMode, switchToEditMode, clearDisplays, syncScroll } from './ui/tabs.js';
+import { extractReferencesFromPDF } from './services/pdf-import.js';
+import { extractReferencesFromDOCX } from './services/docx-import.js';
+import { exportBibTeX, exportRIS, exportCSLJSON, buildCSLItems } from './services/export.js';
+import { formatBibliography } from './services/citation-formatter.js';
+import { buildReportHTML } from './services/report.js';
+import { downloadTextFile, buildExportFilename } from './utils/download.js';
+import {
+    createRunRecord,
+    saveRun,
+    loadLatestRun,
+    listRuns,
+    renameRun,
+    duplicateRun,
+    deleteRun,
+    isRunResumable
+} from './state/run-store.js';
+import { renderHistoryList } from './components/history-list.js';
+import { getLookupCacheStats, clearLookupCache } from './utils/lookup-cache.js';
 
 // DOM elements
 const elements = {};
@@ -24,6 +54,17 @@ let debounceTimer = null;
 let pendingUIUpdate = null;
 let pendingExtractions = [];
 
+// Persisted run shown in the UI, and the action of the restore banner
+let currentRun = null;
+let runSaveTimer = null;
+let restoreBannerAction = null;
+
+// Name of the imported file, used to name the next run
+let inputSourceName = '';
+
+// Whether a card action (re-validate, re-extract, correction) is running
+let cardActionRunning = false;
+
 /**
  * Initialize the application
  */
@@ -38,9 +79,14 @@ function init() {
     elements.filterSelect = document.getElementById('filter-select');
     elements.statsPie = document.getElementById('stats-pie');
     elements.collapseAllBtn = document.getElementById('collapse-all-btn');
+    elements.exportSelect = document.getElementById('export-select');
+    elements.windowModeSelect = document.getElementById('window-mode');
     elements.windowSizeInput = document.getElementById('window-size');
     elements.overlapInput = document.getElementById('overlap-size');
     elements.statsDisplay = document.getElementById('stats-display');
+    elements.importFileBtn = document.getElementById('import-file-btn');
+    elements.importFileInput = document.getElementById('import-file-input');
+    elements.inputDropZone = document.getElementById('input-drop-zone');
 
     // Tab elements
     elements.windowsTabContent = document.getElementById('windows-tab-content');
@@ -57,13 +103,26 @@ function init() {
     elements.userEmailInput = document.getElementById('user-email');
     elements.maxLLMRPMInput = document.getElementById('max-llm-rpm');
     elements.maxValidationRPMInput = document.getElementById('max-validation-rpm');
+    elements.maxRetryAttemptsInput = document.getElementById('max-retry-attempts');
+    elements.extractionMethodSelect = document.getElementById('extraction-method');
+    elements.lookupCacheInfo = document.getElementById('lookup-cache-info');
+    elements.extractionCacheInfo = document.getElementById('extraction-cache-info');
+
+    // History modal elements
+    elements.historyModal = document.getElementById('history-modal');
+    elements.historyList = document.getElementById('history-list');
 
     // Processing elements
     elements.processBtn = document.getElementById('process-btn');
+    elements.forceReextractCheckbox = document.getElementById('force-reextract');
+    elements.pauseBtn = document.getElementById('pause-btn');
     elements.progressContainer = document.getElementById('progress-container');
     elements.progressText = document.getElementById('progress-text');
     elements.progressFill = document.getElementById('progress-fill');
     elements.progressDetails = document.getElementById('progress-details');
+    elements.restoreBanner = document.getElementById('restore-banner');
+    elements.restoreText = document.getElementById('restore-text');
+    elements.restoreBtn = document.getElementById('restore-btn');
 
     // Initialize settings manager
     settingsManager = new SettingsManager(elements);
@@ -75,6 +134,7 @@ function init() {
 
     // Initial render
     updateOutput();
+    offerLastRun();
 }
 
 /**
@@ -87,17 +147,40 @@ function bindEvents() {
     elements.inputTextarea.addEventListener('scroll', () => {
         syncScroll(elements.inputTextarea, elements.textDisplay);
     });
+    elements.windowModeSelect.addEventListener('change', processText);
     elements.windowSizeInput.addEventListener('input', processText);
     elements.overlapInput.addEventListener('input', processText);
 
     document.getElementById('clear-btn').addEventListener('click', handleClear);
 
+    // File import (picker and drag & drop)
+    elements.importFileBtn.addEventListener('click', () => elements.importFileInput.click());
+    elements.importFileInput.addEventListener('change', () => {
+        const file = elements.importFileInput.files[0];
+        elements.importFileInput.value = '';
+        if (file) importFile(file);
+    });
+    elements.inputDropZone.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        elements.inputDropZone.classList.add('drag-over');
+    });
+    elements.inputDropZone.addEventListener('dragleave', (e) => {
+        if (!elements.inputDropZone.contains(e.relatedTarget)) {
+            elements.inputDropZone.classList.remove('drag-over');
+        }
+    });
+    elements.inputDropZone.addEventListener('drop', (e) => {
+        if (!e.dataTransfer.files.length) return;
+        e.preventDefault();
+        elements.inputDropZone.classList.remove('drag-over');
+        importFile(e.dataTransfer.files[0]);
+    });
+
     // Edit button
     elements.editInputBtn.addEventListener('click', () => {
-        switchToEditMode(elements, () => {
-            clearExtractions(state);
-            clearDisplays(elements);
-        });
+        if (isCardActionRunning()) return;
+        switchToEditMode(elements, resetResults);
         updateOutput();
     });
 
@@ -108,10 +191,15 @@ function bindEvents() {
 
     // Processing events
     elements.processBtn.addEventListener('click', startProcessing);
+    elements.pauseBtn.addEventListener('click', togglePause);
+    elements.restoreBtn.addEventListener('click', () => restoreBannerAction?.());
+    document.getElementById('restore-dismiss-btn').addEventListener('click', hideRestoreBanner);
     document.getElementById('cancel-btn').addEventListener('click', () => {
-        state.shouldCancel = true;
+        cancelProcessing(state);
+        updatePauseButton();
     });
     elements.filterSelect.addEventListener('change', applyFilter);
+    elements.exportSelect.addEventListener('change', handleExport);
     elements.collapseAllBtn.addEventListener('click', () => {
         collapseAllCards(elements.extractionsDisplay);
     });
@@ -124,6 +212,12 @@ function bindEvents() {
         settingsManager.resetPrompt();
     });
     document.getElementById('refresh-models-btn').addEventListener('click', handleFetchModels);
+    document.getElementById('clear-lookup-cache-btn').addEventListener('click', () => handleClearCache(clearLookupCache));
+    document.getElementById('clear-extraction-cache-btn').addEventListener('click', () => handleClearCache(clearExtractionCache));
+
+    // History modal events
+    document.getElementById('history-btn').addEventListener('click', openHistoryModal);
+    document.getElementById('history-close').addEventListener('click', closeHistoryModal);
 
     // Close modal on overlay click
     elements.settingsModal.addEventListener('click', (e) => {
@@ -131,11 +225,19 @@ function bindEvents() {
             closeSettingsModal();
         }
     });
+    elements.historyModal.addEventListener('click', (e) => {
+        if (e.target === elements.historyModal) {
+            closeHistoryModal();
+        }
+    });
 
     // Close modal on Escape key
     document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && elements.settingsModal.classList.contains('active')) {
+        if (e.key !== 'Escape') return;
+        if (elements.settingsModal.classList.contains('active')) {
             closeSettingsModal();
+        } else if (elements.historyModal.classList.contains('active')) {
+            closeHistoryModal();
         }
     });
 
@@ -204,7 +306,9 @@ function processText() {
         return;
     }
 
-    state.currentWindows = window.Windowing.createWindows(text, windowSize, overlap);
+    state.currentWindows = elements.windowModeSelect.value === 'characters'
+        ? window.Windowing.createWindows(text, windowSize, overlap)
+        : window.Windowing.createEntryWindows(text, windowSize, overlap);
     updateOutput();
 }
 
@@ -216,17 +320,16 @@ function updateOutput() {
     addWindowHoverListeners(elements.textDisplay);
 
     // Update process button state
-    const canProcess = state.currentWindows.length > 0 && settingsManager.isLLMConfigured();
+    const canProcess = state.currentWindows.length > 0 && settingsManager.isReadyToProcess();
     elements.processBtn.disabled = !canProcess;
 }
 
 function handleClear() {
+    if (isCardActionRunning()) return;
     elements.inputTextarea.value = '';
+    inputSourceName = '';
     state.currentWindows = [];
-    switchToEditMode(elements, () => {
-        clearExtractions(state);
-        clearDisplays(elements);
-    });
+    switchToEditMode(elements, resetResults);
     updateOutput();
     // Reset filter and hide pie chart when clearing
     elements.filterSelect.value = 'all';
@@ -235,36 +338,90 @@ function handleClear() {
 }
 
 /**
- * Apply filter to show verified/unverified extractions
- * Optimized with pre-computed verified/unverified ID sets
+ * Drop the displayed results; the run stays saved in IndexedDB
+ */
+function resetResults() {
+    clearExtractions(state);
+    clearDisplays(elements);
+    currentRun = null;
+    hideRestoreBanner();
+}
+
+/**
+ * Import a document and load its reference section into the input
+ */
+async function importFile(file) {
+    if (state.isProcessing || isCardActionRunning()) return;
+
+    const isPDF = file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+    const isDOCX = /\.docx$/i.test(file.name);
+    if (!isPDF && !isDOCX) {
+        alert(`Unsupported file type: ${file.name}. Please choose a PDF or DOCX file.`);
+        return;
+    }
+
+    const originalText = elements.importFileBtn.textContent;
+    elements.importFileBtn.textContent = 'Importing...';
+    elements.importFileBtn.disabled = true;
+
+    try {
+        const result = isPDF
+            ? await extractReferencesFromPDF(file, (page, pageCount) => {
+                elements.importFileBtn.textContent = `Page ${page}/${pageCount}...`;
+            })
+            : await extractReferencesFromDOCX(file);
+
+        if (!result.text.trim()) {
+            alert(isPDF
+                ? 'No text found in this PDF. Scanned documents without a text layer are not supported.'
+                : 'No text found in this document.');
+            return;
+        }
+
+        switchToEditMode(elements, resetResults);
+        elements.inputTextarea.value = result.text;
+        inputSourceName = file.name.replace(/\.(pdf|docx)$/i, '');
+        processText();
+
+        if (!result.sectionFound) {
+            alert('No reference list found (no "References", "Bibliography" or "Literatur" heading) - the whole document text was imported. Please remove everything that is not part of the bibliography.');
+        }
+    } catch (error) {
+        console.error('Failed to import file:', error);
+        alert('Failed to import file: ' + error.message);
+    } finally {
+        elements.importFileBtn.textContent = originalText;
+        elements.importFileBtn.disabled = false;
+    }
+}
+
+/**
+ * Check whether an extraction is shown by a filter value (a result category or 'unreviewed')
+ */
+function matchesFilter(extraction, filterValue) {
+    if (filterValue === 'all') return true;
+    if (filterValue === 'unreviewed') return !extraction.error && !extraction.review?.verdict;
+    return getResultCategory(extraction) === filterValue;
+}
+
+/**
+ * Apply filter to show extractions of one result category
+ * Optimized with a pre-computed set of matching IDs
  */
 function applyFilter() {
     const filterValue = elements.filterSelect.value;
 
-    // Pre-compute verified extraction IDs for fast lookup
-    const verifiedIds = new Set();
-    const unverifiedIds = new Set();
+    const matchingIds = new Set();
     for (const [id, extraction] of state.extractionMap) {
-        if (extraction.validationStatus === 'valid') {
-            verifiedIds.add(id);
-        } else {
-            unverifiedIds.add(id);
+        if (matchesFilter(extraction, filterValue)) {
+            matchingIds.add(id);
         }
     }
 
     // Filter extraction cards
     const cards = elements.extractionsDisplay.querySelectorAll('.extraction-card');
     cards.forEach(card => {
-        const extractionId = card.dataset.extractionId;
-        const isVerified = verifiedIds.has(extractionId);
-
-        if (filterValue === 'all') {
-            card.classList.remove('filter-hidden');
-        } else if (filterValue === 'verified') {
-            card.classList.toggle('filter-hidden', !isVerified);
-        } else if (filterValue === 'unverified') {
-            card.classList.toggle('filter-hidden', isVerified);
-        }
+        card.classList.toggle('filter-hidden', filterValue !== 'all' && !matchingIds.has(card.dataset.extractionId));
     });
 
     // Filter marked lines in text preview
@@ -275,26 +432,11 @@ function applyFilter() {
         if (filterValue === 'all') {
             line.classList.remove('filter-hidden');
         } else if (!extractionIdsAttr || !extractionIdsAttr.trim()) {
-            // Lines with no extractions - hide for both verified/unverified filters
+            // Lines with no extractions - hide for every filter
             line.classList.add('filter-hidden');
         } else {
             const ids = extractionIdsAttr.split(' ');
-            let hasVerified = false;
-            let hasUnverified = false;
-
-            for (const id of ids) {
-                if (!id) continue;
-                if (verifiedIds.has(id)) hasVerified = true;
-                if (unverifiedIds.has(id)) hasUnverified = true;
-                // Early exit if we found both
-                if (hasVerified && hasUnverified) break;
-            }
-
-            if (filterValue === 'verified') {
-                line.classList.toggle('filter-hidden', !hasVerified);
-            } else if (filterValue === 'unverified') {
-                line.classList.toggle('filter-hidden', !hasUnverified);
-            }
+            line.classList.toggle('filter-hidden', !ids.some(id => matchingIds.has(id)));
         }
     });
 
@@ -311,59 +453,27 @@ function updatePieChart() {
         return;
     }
 
-    const verified = state.extractions.filter(e => e.validationStatus === 'valid').length;
-    const unverified = state.extractions.length - verified;
-    const total = state.extractions.length;
-
-    // Calculate pie segments (as percentages)
-    const verifiedPct = total > 0 ? (verified / total) * 100 : 0;
-    const unverifiedPct = total > 0 ? (unverified / total) * 100 : 0;
-
-    // Create SVG pie chart using stroke-dasharray technique
-    const circumference = 2 * Math.PI * 8; // radius = 8
-    const verifiedDash = (verifiedPct / 100) * circumference;
-    const unverifiedDash = (unverifiedPct / 100) * circumference;
-
-    let pieHtml = `
-        <svg viewBox="0 0 20 20">
-            <circle cx="10" cy="10" r="8" fill="none" stroke="#e2e8f0" stroke-width="4"/>
-    `;
-
-    // Only draw segments if there's data
-    if (verified > 0) {
-        pieHtml += `
-            <circle class="pie-segment" data-filter="verified" cx="10" cy="10" r="8" fill="none"
-                stroke="#10b981" stroke-width="4"
-                stroke-dasharray="${verifiedDash} ${circumference}"
-                stroke-dashoffset="0"
-                transform="rotate(-90 10 10)"/>
-        `;
-    }
-    if (unverified > 0) {
-        pieHtml += `
-            <circle class="pie-segment" data-filter="unverified" cx="10" cy="10" r="8" fill="none"
-                stroke="#ef4444" stroke-width="4"
-                stroke-dasharray="${unverifiedDash} ${circumference}"
-                stroke-dashoffset="${-verifiedDash}"
-                transform="rotate(-90 10 10)"/>
-        `;
-    }
-
-    pieHtml += `</svg>`;
-
-    // Add legend with counts
-    pieHtml += `
-        <div class="pie-legend">
-            <span class="legend-item" data-filter="verified" title="Show verified only">
-                <span class="legend-dot verified"></span>
-                <span>${verified}</span>
-            </span>
-            <span class="legend-item" data-filter="unverified" title="Show unverified only">
-                <span class="legend-dot unverified"></span>
-                <span>${unverified}</span>
+    const counts = { verified: 0, miscited: 0, fabricated: 0, unverified: 0 };
+    for (const extraction of state.extractions) {
+        counts[getResultCategory(extraction)]++;
+    }
+
+    let pieHtml = renderPieSVG(Object.keys(counts).map(key => ({
+        key,
+        count: counts[key],
+        color: CATEGORY_COLORS[key]
+    })));
+
+    // Add legend with counts; reviewer-only categories are shown once used
+    const legendItems = Object.keys(counts)
+        .filter(key => counts[key] > 0 || key === 'verified' || key === 'unverified')
+        .map(key => `
+            <span class="legend-item" data-filter="${key}" title="Show ${CATEGORY_LABELS[key].toLowerCase()} only">
+                <span class="legend-dot ${key}"></span>
+                <span>${counts[key]}</span>
             </span>
-        </div>
-    `;
+        `).join('');
+    pieHtml += `<div class="pie-legend">${legendItems}</div>`;
 
     elements.statsPie.innerHTML = pieHtml;
     elements.statsPie.classList.add('visible');
@@ -397,6 +507,50 @@ function updatePieLegendState() {
     });
 }
 
+/**
+ * Compare two extractions by their position in the input text
+ * Uses the source span if located, falling back to window start position
+ */
+function compareByTextPosition(extractionA, extractionB) {
+    const posA = extractionA?.sourceSpan?.start
+        ?? (state.currentWindows[extractionA?.windowIndex - 1]?.start ?? Infinity);
+    const posB = extractionB?.sourceSpan?.start
+        ?? (state.currentWindows[extractionB?.windowIndex - 1]?.start ?? Infinity);
+
+    return posA - posB;
+}
+
+/**
+ * Export extractions in the chosen format, in input text order
+ */
+function handleExport() {
+    const format = elements.exportSelect.value;
+    elements.exportSelect.value = '';
+    if (!format || state.extractions.length === 0) return;
+
+    const extractions = [...state.extractions].sort(compareByTextPosition);
+
+    if (format === 'bibtex') {
+        downloadTextFile(buildExportFilename('bib'), exportBibTeX(extractions), 'application/x-bibtex');
+    } else if (format === 'ris') {
+        downloadTextFile(buildExportFilename('ris'), exportRIS(extractions), 'application/x-research-info-systems');
+    } else if (format === 'csl-json') {
+        downloadTextFile(buildExportFilename('json'), exportCSLJSON(extractions), 'application/vnd.citationstyles.csl+json');
+    } else if (format.startsWith('style:')) {
+        // Formatted bibliography built from verified metadata where available
+        const style = format.slice('style:'.length);
+        const entries = formatBibliography(buildCSLItems(extractions), style);
+        downloadTextFile(buildExportFilename(`${style}.txt`), entries.join('\n\n') + '\n');
+    } else if (format === 'report') {
+        const html = buildReportHTML({
+            extractions,
+            inputText: elements.inputTextarea.value,
+            settings: currentRun?.settings ?? settingsManager.getSettings()
+        });
+        downloadTextFile(buildExportFilename('report.html'), html, 'text/html');
+    }
+}
+
 /**
  * Reorder extraction cards by their position in the input text
  */
@@ -404,19 +558,10 @@ function reorderCardsByTextPosition() {
     const cards = Array.from(elements.extractionsDisplay.querySelectorAll('.extraction-card[data-extraction-id]'));
     if (cards.length === 0) return;
 
-    // Sort cards by absoluteLineStart, falling back to window start position
-    cards.sort((a, b) => {
-        const extractionA = state.extractionMap.get(a.dataset.extractionId);
-        const extractionB = state.extractionMap.get(b.dataset.extractionId);
-
-        // Use absoluteLineStart if available, otherwise use window start position
-        const posA = extractionA?.absoluteLineStart
-            ?? (state.currentWindows[extractionA?.windowIndex - 1]?.start ?? Infinity);
-        const posB = extractionB?.absoluteLineStart
-            ?? (state.currentWindows[extractionB?.windowIndex - 1]?.start ?? Infinity);
-
-        return posA - posB;
-    });
+    cards.sort((a, b) => compareByTextPosition(
+        state.extractionMap.get(a.dataset.extractionId),
+        state.extractionMap.get(b.dataset.extractionId)
+    ));
 
     // Re-append cards in sorted order
     const fragment = document.createDocumentFragment();
@@ -424,6 +569,46 @@ function reorderCardsByTextPosition() {
     elements.extractionsDisplay.appendChild(fragment);
 }
 
+/**
+ * Render extraction and error cards, replacing existing cards of the same extractions
+ * (re-validated when a run is resumed or from a card action) and keeping them expanded
+ */
+function appendExtractionCards(extractions) {
+    const cardActions = {
+        onCorrect: handleCorrect,
+        onRevalidate: handleRevalidate,
+        onReextract: handleReextract,
+        onReview: handleReview
+    };
+    const fragment = document.createDocumentFragment();
+    for (const extraction of extractions) {
+        const existing = elements.extractionsDisplay.querySelector(`.extraction-card[data-extraction-id="${extraction.id}"]`);
+        const card = extraction.error
+            ? renderErrorCard(extraction, cardActions)
+            : renderExtractionCard(extraction, state, elements.markersDisplay, elements.extractionsDisplay, cardActions);
+        if (existing?.classList.contains('expanded')) {
+            card.classList.add('expanded');
+        }
+        existing?.remove();
+        fragment.appendChild(card);
+    }
+    elements.extractionsDisplay.appendChild(fragment);
+}
+
+/**
+ * Refresh card order, markers, pie chart, filter and counts after all cards are rendered
+ */
+function refreshResultsView(text) {
+    reorderCardsByTextPosition();
+    renderMarkersOverlay(elements.markersDisplay, text, state);
+    addMarkerHoverListeners(elements.markersDisplay, elements.extractionsDisplay, {});
+    updatePieChart();
+    applyFilter();
+
+    elements.extractionCountSpan.textContent = `${state.extractions.length} extraction${state.extractions.length !== 1 ? 's' : ''}`;
+    elements.exportSelect.disabled = state.extractions.length === 0;
+}
+
 /**
  * Schedule a batched UI update for better performance
  * Collects multiple extraction updates and renders them together
@@ -434,12 +619,7 @@ function scheduleBatchedUIUpdate(text) {
     pendingUIUpdate = requestAnimationFrame(() => {
         if (pendingExtractions.length > 0) {
             // Render all pending extraction cards
-            const fragment = document.createDocumentFragment();
-            for (const extraction of pendingExtractions) {
-                const card = renderExtractionCard(extraction, state, elements.markersDisplay, elements.extractionsDisplay);
-                fragment.appendChild(card);
-            }
-            elements.extractionsDisplay.appendChild(fragment);
+            appendExtractionCards(pendingExtractions);
             pendingExtractions = [];
         }
 
@@ -467,16 +647,9 @@ function selectProvider(provider, triggerChange = true) {
     elements.llmProviderSelect.value = provider;
 
     // Show/hide appropriate setup guide
-    const googleGuide = document.getElementById('google-setup-guide');
-    const openaiGuide = document.getElementById('openai-setup-guide');
-
-    if (provider === 'google') {
-        googleGuide.style.display = '';
-        openaiGuide.style.display = 'none';
-    } else {
-        googleGuide.style.display = 'none';
-        openaiGuide.style.display = '';
-    }
+    document.querySelectorAll('.provider-guide').forEach(guide => {
+        guide.style.display = guide.dataset.providerGuide.split(' ').includes(provider) ? '' : 'none';
+    });
 
     // Trigger provider change in settings manager (only when user changes provider)
     if (triggerChange) {
@@ -494,6 +667,7 @@ function openSettingsModal() {
     settingsManager.syncToModal();
     initProviderUI();
     elements.settingsModal.classList.add('active');
+    updateCacheInfo();
 }
 
 function closeSettingsModal() {
@@ -503,6 +677,43 @@ function closeSettingsModal() {
 function saveSettings() {
     settingsManager.save();
     closeSettingsModal();
+
+    const promptWarning = settingsManager.getPromptWarning();
+    if (promptWarning) {
+        alert(promptWarning);
+    }
+}
+
+/**
+ * Show the number and size of cached CrossRef/OpenAlex responses and LLM extractions
+ */
+async function updateCacheInfo() {
+    await Promise.all([
+        showCacheStats(elements.lookupCacheInfo, getLookupCacheStats, 'cached response'),
+        showCacheStats(elements.extractionCacheInfo, getExtractionCacheStats, 'cached window')
+    ]);
+}
+
+async function showCacheStats(infoElement, getStats, noun) {
+    try {
+        const { entries, bytes } = await getStats();
+        const size = bytes >= 1024 * 1024
+            ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+            : `${Math.ceil(bytes / 1024)} KB`;
+        infoElement.textContent = `${entries} ${noun}${entries !== 1 ? 's' : ''} (${size})`;
+    } catch (error) {
+        infoElement.textContent = 'Not available in this browser';
+    }
+}
+
+async function handleClearCache(clearCache) {
+    try {
+        await clearCache();
+    } catch (error) {
+        console.error('Failed to clear cache:', error);
+        alert('Failed to clear cache: ' + error.message);
+    }
+    await updateCacheInfo();
 }
 
 async function handleFetchModels() {
@@ -524,12 +735,15 @@ async function handleFetchModels() {
 
 // Processing
 async function startProcessing() {
-    if (state.isProcessing) return;
+    if (state.isProcessing || isCardActionRunning()) return;
 
-    const settings = settingsManager.getSettings();
+    const settings = {
+        ...settingsManager.getSettings(),
+        forceReextract: elements.forceReextractCheckbox.checked
+    };
 
-    if (!settingsManager.isLLMConfigured()) {
-        alert('Please configure LLM settings (endpoint, API key, and model) before processing.');
+    if (!settingsManager.isReadyToProcess()) {
+        alert('Please configure LLM settings (endpoint, API key, and model) or choose the rule-based parser before processing.');
         openSettingsModal();
         return;
     }
@@ -539,15 +753,62 @@ async function startProcessing() {
         return;
     }
 
+    const promptWarning = settingsManager.getPromptWarning();
+    if (promptWarning && !confirm(`${promptWarning}\n\nProcess anyway?`)) {
+        return;
+    }
+
+    const text = elements.inputTextarea.value;
+    clearExtractions(state);
+    elements.extractionsDisplay.innerHTML = '';
+    hideRestoreBanner();
+
+    // A duplicated run loaded into the editor is processed under its own name and history entry
+    const draft = currentRun?.status === 'draft' ? currentRun : null;
+    currentRun = createRunRecord(text, state.currentWindows, settings, draft?.name || inputSourceName);
+    if (draft) {
+        currentRun.id = draft.id;
+    }
+    await runProcessing(settings, text);
+}
+
+/**
+ * Continue the restored run with its own settings; the API key is taken from the
+ * current settings if the provider is the same, as it is never saved with the run
+ */
+async function resumeRun() {
+    if (state.isProcessing || !currentRun || isCardActionRunning()) return;
+
+    const currentSettings = settingsManager.getSettings();
+    const settings = {
+        ...currentRun.settings,
+        llmApiKey: currentSettings.llmProvider === currentRun.settings.llmProvider ? currentSettings.llmApiKey : ''
+    };
+
+    if (!isReadyToProcess(settings)) {
+        alert(`This run used the "${currentRun.settings.llmProvider}" provider - please select it and enter its API key in the settings to resume.`);
+        openSettingsModal();
+        return;
+    }
+
+    hideRestoreBanner();
+    state.currentWindows = currentRun.windows;
+    await runProcessing(settings, currentRun.inputText, currentRun.checkpoint);
+}
+
+/**
+ * Process the windows of the current run, from its checkpoint if resuming
+ */
+async function runProcessing(settings, text, resume = null) {
     state.isProcessing = true;
     state.shouldCancel = false;
-    clearExtractions(state);
 
     showProgress(elements);
-    elements.extractionsDisplay.innerHTML = '';
     elements.processBtn.disabled = true;
+    elements.pauseBtn.disabled = false;
+    updatePauseButton();
+    elements.exportSelect.disabled = true;
 
-    const text = elements.inputTextarea.value;
     renderMarkersOverlay(elements.markersDisplay, text, state);
     switchToReadOnlyMode(elements);
 
@@ -557,26 +818,48 @@ async function startProcessing() {
     pendingExtractions = [];
     pendingUIUpdate = null;
 
-    const result = await processAllWindows({
-        state,
-        settings,
-        fullText: text,
-        onProgress: (message) => {
-            updateProgressDetails(elements, message);
-        },
-        onWindowStart: (index, total) => {
-            updateProgress(elements, index, total, `Processing window ${index + 1} of ${total}...`);
-        },
-        onExtractionComplete: (extraction) => {
-            // Batch extractions and schedule a single UI update
-            pendingExtractions.push(extraction);
-            scheduleBatchedUIUpdate(text);
-        },
-        onError: (windowIndex, errorMessage, extraction) => {
-            renderErrorCard(elements.extractionsDisplay, windowIndex, errorMessage);
-            scheduleBatchedUIUpdate(text);
-        }
-    });
+    persistRun({ status: 'running' });
+
+    let result = null;
+    try {
+        result = await processAllWindows({
+            state,
+            settings,
+            fullText: text,
+            resume,
+            onProgress: (message) => {
+                updateProgressDetails(elements, message);
+            },
+            onWindowStart: (index, total) => {
+                updateProgress(elements, index, total, `Processing window ${index + 1} of ${total}...`);
+            },
+            onPause: (index, total) => {
+                updateProgress(elements, index, total, `Paused before window ${index + 1} of ${total} - click Resume to continue`);
+            },
+            onExtractionComplete: (extraction) => {
+                // Batch extractions and schedule a single UI update
+                pendingExtractions.push(extraction);
+                scheduleBatchedUIUpdate(text);
+            },
+            onError: (windowIndex, errorMessage, extraction) => {
+                pendingExtractions.push(extraction);
+                scheduleBatchedUIUpdate(text);
+            },
+            onCheckpoint: (checkpoint) => {
+                currentRun.checkpoint = checkpoint;
+                scheduleRunSave();
+            }
+        });
+    } catch (error) {
+        console.error('Processing failed:', error);
+        alert('Processing failed: ' + error.message);
+    } finally {
+        // Unlock the UI even if processing failed
+        state.isProcessing = false;
+        elements.processBtn.disabled = false;
+        elements.pauseBtn.disabled = true;
+        updatePauseButton();
+    }
 
     // Cancel any pending batched update and do final render
     if (pendingUIUpdate) {
@@ -590,14 +873,7 @@ async function startProcessing() {
 
     // Render any remaining pending extractions (only those that survived deduplication)
     if (pendingExtractions.length > 0) {
-        const fragment = document.createDocumentFragment();
-        for (const extraction of pendingExtractions) {
-            // Skip extractions that were removed by deduplication
-            if (!state.extractionMap.has(extraction.id)) continue;
-            const card = renderExtractionCard(extraction, state, elements.markersDisplay, elements.extractionsDisplay);
-            fragment.appendChild(card);
-        }
-        elements.extractionsDisplay.appendChild(fragment);
+        appendExtractionCards(pendingExtractions.filter(e => state.extractionMap.has(e.id)));
         pendingExtractions = [];
     }
 
@@ -609,25 +885,403 @@ async function startProcessing() {
         }
     });
 
-    // Reorder cards by occurrence in input text
-    reorderCardsByTextPosition();
-    renderMarkersOverlay(elements.markersDisplay, text, state);
-    addMarkerHoverListeners(elements.markersDisplay, elements.extractionsDisplay, {});
-    updatePieChart();
-    applyFilter();
+    // Reorder cards by occurrence in input text, then markers, pie chart and counts
+    refreshResultsView(text);
 
-    elements.extractionCountSpan.textContent = `${state.extractions.length} extraction${state.extractions.length !== 1 ? 's' : ''}`;
+    if (!result) {
+        // The run stays "running" in the history, so it can be resumed from its last checkpoint
+        await persistRun();
+        updateProgress(elements, 0, totalWindows, `Processing failed - ${state.extractions.length} citations kept`);
+        return;
+    }
 
-    state.isProcessing = false;
-    elements.processBtn.disabled = false;
+    await persistRun({ status: result.cancelled ? 'cancelled' : 'complete' });
 
     if (result.cancelled) {
-        updateProgress(elements, 0, 1, 'Processing cancelled');
+        const processedWindows = totalWindows - result.unprocessedWindows.length;
+        updateProgress(elements, processedWindows, totalWindows,
+            `Processing cancelled - ${processedWindows} of ${totalWindows} windows processed, ${state.extractions.length} citations kept`);
+        updateProgressDetails(elements, formatUnprocessedWindows(result.unprocessedWindows));
     } else {
         updateProgress(elements, totalWindows, totalWindows, `Completed - ${state.extractions.length} citations extracted`);
+        updateProgressDetails(elements, result.cachedWindows > 0
+            ? `${result.cachedWindows} of ${totalWindows} windows reused from the extraction cache`
+            : '');
+    }
+}
+
+/**
+ * Save the current run to IndexedDB after a short delay, batching frequent checkpoints
+ */
+function scheduleRunSave() {
+    clearTimeout(runSaveTimer);
+    runSaveTimer = setTimeout(persistRun, RUN_SAVE_DELAY);
+}
+
+/**
+ * Save the current run to IndexedDB now. Failures are logged only - processing goes on without persistence.
+ */
+async function persistRun(changes = {}) {
+    clearTimeout(runSaveTimer);
+    if (!currentRun) return;
+
+    try {
+        await saveRun(currentRun, state, changes);
+    } catch (error) {
+        console.error('Failed to save run:', error);
+    }
+}
+
+/**
+ * Offer to restore the last saved run when the app opens with an empty input
+ */
+async function offerLastRun() {
+    let run;
+    try {
+        run = await loadLatestRun();
+    } catch (error) {
+        console.error('Failed to load saved runs:', error);
+        return;
+    }
+    if (!run || state.isProcessing || elements.inputTextarea.value.trim()) return;
+
+    const date = new Date(run.updatedAt).toLocaleString();
+    const remaining = isRunResumable(run) ? ` - ${describeRemainingWork(run)}` : '';
+    showRestoreBanner(
+        `Last session from ${date}: ${run.extractions.length} citations${remaining}.`,
+        'Restore',
+        () => restoreRun(run)
+    );
+}
+
+/**
+ * Show a saved run's input and results read-only, and offer to resume it if it is unfinished
+ * @param {Object} run - Saved run
+ * @param {boolean} autoResume - Resume an unfinished run right away
+ */
+function restoreRun(run, autoResume = true) {
+    if (state.isProcessing || isCardActionRunning()) return;
+
+    elements.inputTextarea.value = run.inputText;
+    resetResults();
+    currentRun = run;
+
+    state.currentWindows = run.windows;
+    updateOutput();
+
+    elements.extractionsDisplay.innerHTML = '';
+    for (const extraction of run.extractions) {
+        addExtraction(state, extraction);
+    }
+    buildLineExtractionMap(state, run.inputText);
+    appendExtractionCards(state.extractions);
+
+    switchToReadOnlyMode(elements);
+    refreshResultsView(run.inputText);
+
+    if (isRunResumable(run)) {
+        showRestoreBanner(`Restored run: ${describeRemainingWork(run)}.`, 'Resume', resumeRun);
+        if (autoResume) {
+            resumeRun();
+        }
+    }
+}
+
+/**
+ * Describe what is left of an unfinished run, e.g. "3 of 8 windows and 2 validations not processed"
+ */
+function describeRemainingWork(run) {
+    const parts = [];
+    const windowsLeft = run.windows.length - run.checkpoint.nextWindow;
+    if (windowsLeft > 0) {
+        parts.push(`${windowsLeft} of ${run.windows.length} windows`);
+    }
+    const validationsLeft = run.checkpoint.unvalidated.length + run.extractions.filter(e => e.cancelled).length;
+    if (validationsLeft > 0) {
+        parts.push(`${validationsLeft} validation${validationsLeft !== 1 ? 's' : ''}`);
     }
+    return `${parts.join(' and ')} not processed`;
+}
+
+function showRestoreBanner(message, actionLabel, action) {
+    elements.restoreText.textContent = message;
+    elements.restoreBtn.textContent = actionLabel;
+    restoreBannerAction = action;
+    elements.restoreBanner.style.display = '';
+}
+
+function hideRestoreBanner() {
+    elements.restoreBanner.style.display = 'none';
+    restoreBannerAction = null;
+}
+
+// History modal functions
+async function openHistoryModal() {
+    elements.historyModal.classList.add('active');
+    await refreshHistoryList();
+}
+
+function closeHistoryModal() {
+    elements.historyModal.classList.remove('active');
+}
+
+async function refreshHistoryList() {
+    try {
+        const runs = await listRuns();
+        renderHistoryList(elements.historyList, runs, {
+            currentRunId: currentRun?.id,
+            isProcessing: state.isProcessing,
+            onOpen: openHistoryRun,
+            onRename: renameHistoryRun,
+            onDuplicate: duplicateHistoryRun,
+            onDelete: deleteHistoryRun
+        });
+    } catch (error) {
+        console.error('Failed to load history:', error);
+        elements.historyList.textContent = 'Failed to load history: ' + error.message;
+    }
+}
+
+/**
+ * Open a saved run read-only; a draft is loaded into the editor instead
+ */
+function openHistoryRun(run) {
+    if (state.isProcessing) {
+        alert('Please wait until processing has finished or cancel it first.');
+        return;
+    }
+    if (isCardActionRunning()) return;
+
+    closeHistoryModal();
+    if (run.status === 'draft') {
+        loadRunIntoEditor(run);
+    } else {
+        restoreRun(run, false);
+    }
+}
+
+async function renameHistoryRun(run) {
+    const name = prompt('Name of this run (e.g. student or thesis):', run.name || '');
+    if (name === null || !name.trim()) return;
+
+    try {
+        await renameRun(run.id, name.trim());
+        if (currentRun?.id === run.id) {
+            currentRun.name = name.trim();
+        }
+    } catch (error) {
+        console.error('Failed to rename run:', error);
+        alert('Failed to rename run: ' + error.message);
+    }
+    await refreshHistoryList();
+}
+
+async function duplicateHistoryRun(run) {
+    if (state.isProcessing) {
+        alert('Please wait until processing has finished or cancel it first.');
+        return;
+    }
+    if (isCardActionRunning()) return;
+
+    try {
+        const draft = await duplicateRun(run);
+        closeHistoryModal();
+        loadRunIntoEditor(draft);
+    } catch (error) {
+        console.error('Failed to duplicate run:', error);
+        alert('Failed to duplicate run: ' + error.message);
+    }
+}
+
+async function deleteHistoryRun(run) {
+    if (!confirm(`Delete "${run.name || 'Untitled run'}" from the history? This cannot be undone.`)) return;
+
+    try {
+        await deleteRun(run.id);
+        // Results stay on screen, but are no longer saved; the banner may offer the deleted run
+        if (!currentRun || currentRun.id === run.id) {
+            currentRun = null;
+            hideRestoreBanner();
+        }
+    } catch (error) {
+        console.error('Failed to delete run:', error);
+        alert('Failed to delete run: ' + error.message);
+    }
+    await refreshHistoryList();
+}
 
-    updateProgressDetails(elements, '');
+/**
+ * Load a run's input into the editor, to process it with the current settings
+ */
+function loadRunIntoEditor(run) {
+    switchToEditMode(elements, resetResults);
+    elements.inputTextarea.value = run.inputText;
+    inputSourceName = '';
+    currentRun = run;
+    processText();
+}
+
+/**
+ * Check that no processing or other card action is running before a card action starts.
+ * Card actions run one at a time so they do not work on results that are being replaced.
+ */
+function canStartCardAction() {
+    if (state.isProcessing) {
+        alert('Please wait until processing has finished.');
+        return false;
+    }
+    return !isCardActionRunning();
+}
+
+/**
+ * Tell the user to wait if a card action (re-validate, re-extract, correction) is running
+ * @returns {boolean} - true if one is running
+ */
+function isCardActionRunning() {
+    if (cardActionRunning) {
+        alert('Please wait until the running card action has finished.');
+    }
+    return cardActionRunning;
+}
+
+/**
+ * Re-validate a single extraction from its card
+ */
+async function handleRevalidate(extraction) {
+    if (!canStartCardAction()) return;
+
+    setCardBusy(elements.extractionsDisplay, extraction.id, 'Validating...');
+    cardActionRunning = true;
+    try {
+        await revalidateExtraction(extraction, settingsManager.getSettings());
+    } catch (error) {
+        console.error('Failed to re-validate extraction:', error);
+        alert('Failed to re-validate: ' + error.message);
+    } finally {
+        cardActionRunning = false;
+    }
+    applyExtractionChanges([extraction]);
+}
+
+/**
+ * Save a manual correction of an extraction's fields and update its verdict
+ */
+async function handleCorrect(extraction, changes) {
+    if (!canStartCardAction()) return;
+
+    setCardBusy(elements.extractionsDisplay, extraction.id, 'Validating...');
+    cardActionRunning = true;
+    try {
+        await correctExtraction(extraction, changes, settingsManager.getSettings());
+    } catch (error) {
+        console.error('Failed to validate corrected extraction:', error);
+        alert('Failed to validate the corrected entry: ' + error.message);
+    } finally {
+        cardActionRunning = false;
+    }
+    applyExtractionChanges([extraction]);
+}
+
+/**
+ * Save the reviewer verdict and note of an extraction
+ */
+function handleReview(extraction, { verdict, note }) {
+    if (!canStartCardAction()) return;
+
+    setReviewVerdict(extraction, verdict, note);
+    applyExtractionChanges([extraction]);
+}
+
+/**
+ * Re-extract the window of an extraction (or error card) with the current settings
+ */
+async function handleReextract(extraction) {
+    if (!canStartCardAction()) return;
+
+    const settings = settingsManager.getSettings();
+    if (!isReadyToProcess(settings)) {
+        alert('Please configure LLM settings (endpoint, API key, and model) or choose the rule-based parser before re-extracting.');
+        openSettingsModal();
+        return;
+    }
+
+    // Windows of the displayed run - the editor's windows may have changed with the window settings
+    const windows = currentRun?.windows || state.currentWindows;
+    const windowIndex = extraction.windowIndex;
+    for (const e of state.extractions.filter(e => e.windowIndex === windowIndex)) {
+        setCardBusy(elements.extractionsDisplay, e.id, 'Extracting...');
+    }
+
+    cardActionRunning = true;
+    try {
+        const result = await reextractWindow({
+            state,
+            settings,
+            fullText: elements.inputTextarea.value,
+            windows,
+            windowIndex
+        });
+        if (currentRun?.checkpoint) {
+            currentRun.checkpoint.windowStatus[windowIndex - 1] = 'done';
+            currentRun.checkpoint.extractionIndex = Math.max(currentRun.checkpoint.extractionIndex, result.nextIndex);
+        }
+        applyExtractionChanges(result.added);
+    } catch (error) {
+        console.error(`Failed to re-extract window ${windowIndex}:`, error);
+        alert(`Failed to re-extract window ${windowIndex}: ` + error.message);
+        applyExtractionChanges(state.extractions.filter(e => e.windowIndex === windowIndex));
+    } finally {
+        cardActionRunning = false;
+    }
+}
+
+/**
+ * Splice changed extractions into the cards, markers, pie chart and filter, leaving the other cards as they are,
+ * and save the run
+ */
+function applyExtractionChanges(changed) {
+    const text = elements.inputTextarea.value;
+    buildLineExtractionMap(state, text);
+
+    appendExtractionCards(changed.filter(e => state.extractionMap.has(e.id)));
+    elements.extractionsDisplay.querySelectorAll('.extraction-card[data-extraction-id]').forEach(card => {
+        if (!state.extractionMap.has(card.dataset.extractionId)) {
+            card.remove();
+        }
+    });
+
+    refreshResultsView(text);
+    persistRun();
+}
+
+/**
+ * Pause or resume the running processing
+ */
+function togglePause() {
+    if (!state.isProcessing) return;
+
+    if (state.isPaused) {
+        resumeProcessing(state);
+        updateProgressDetails(elements, 'Resumed');
+    } else {
+        pauseProcessing(state);
+        updateProgressDetails(elements, 'Pausing - requests already sent will finish first');
+    }
+    updatePauseButton();
+}
+
+function updatePauseButton() {
+    elements.pauseBtn.textContent = state.isPaused ? 'Resume' : 'Pause';
+}
+
+/**
+ * List windows left unprocessed by a cancelled run, e.g. "Not processed: W4 (lines 31-40), W5 (lines 38-52)"
+ */
+function formatUnprocessedWindows(windows) {
+    if (windows.length === 0) return 'All windows were processed; remaining validations were cancelled';
+    return 'Not processed: ' + windows
+        .map(w => `W${w.index + 1} (lines ${w.startLine}-${w.endLine})`)
+        .join(', ');
 }
 
 // Initialize when DOM is ready
@@ -2,6 +2,7 @@
  * Extraction cards component
  */
 
+import { STATUS_LABELS, MATCH_FIELD_LABELS, CITATION_FIELD_LABELS, VERDICT_LABELS } from '../config/constants.js';
 import { escapeHTML } from '../utils/text.js';
 import { highlightLinesForExtractions, clearAllHighlights, scrollToLine } from './markers.js';
 
@@ -9,18 +10,48 @@ import { highlightLinesForExtractions, clearAllHighlights, scrollToLine } from '
  * Get human-readable status label
  */
 function getStatusLabel(status) {
-    switch (status) {
-        case 'valid': return 'Verified';
-        case 'suspicious': return 'Needs Review';
-        case 'mismatch': return 'Mismatch';
-        case 'invalid': return 'Unverified';
-        case 'incomplete': return 'Incomplete';
-        default: return 'Pending';
-    }
+    return STATUS_LABELS[status] || 'Pending';
+}
+
+/**
+ * Fields shown in the correction form, in display order
+ */
+const EDITABLE_FIELDS = ['title', 'authors', 'year', 'container_title', 'volume', 'issue', 'pages', 'doi', 'pmid', 'isbn'];
+
+/**
+ * Format an author list as "Family, Given; Family, Given"
+ */
+function formatAuthors(authors, truncated = false) {
+    const authorStr = (authors || []).map(a => `${a.family || ''}, ${a.given || ''}`).join('; ');
+    return authorStr + (truncated ? ' et al.' : '');
+}
+
+/**
+ * Parse an author list typed as "Family, Given; Family, Given"
+ */
+function parseAuthors(text) {
+    return text.split(';')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const comma = part.indexOf(',');
+            const family = (comma === -1 ? part : part.slice(0, comma)).trim();
+            const given = comma === -1 ? '' : part.slice(comma + 1).trim();
+            return given ? { family, given } : { family };
+        });
+}
+
+/**
+ * Format a field value (as extracted, before correction) for a tooltip
+ */
+function formatOriginalValue(field, value) {
+    if (value === null || value === undefined) return '(empty)';
+    if (field === 'authors') return formatAuthors(value);
+    return String(value);
 }
 
 /**
- * Render extraction fields
+ * Render extraction fields; corrected fields are marked and show the extracted value on hover
  */
 function renderExtractionFields(extraction) {
     const fields = [];
@@ -29,44 +60,203 @@ function renderExtractionFields(extraction) {
         fields.push({ label: 'Window', value: `W${extraction.windowIndex}` });
     }
     if (extraction.doi) {
-        fields.push({ label: 'DOI', value: `<a href="https://doi.org/${extraction.doi}" target="_blank">${extraction.doi}</a>` });
+        fields.push({ field: 'doi', label: 'DOI', value: `<a href="https://doi.org/${escapeHTML(extraction.doi)}" target="_blank">${escapeHTML(extraction.doi)}</a>` });
     }
     if (extraction.pmid) {
-        fields.push({ label: 'PMID', value: `<a href="https://pubmed.ncbi.nlm.nih.gov/${extraction.pmid}" target="_blank">${extraction.pmid}</a>` });
+        fields.push({ field: 'pmid', label: 'PMID', value: `<a href="https://pubmed.ncbi.nlm.nih.gov/${escapeHTML(extraction.pmid)}" target="_blank">${escapeHTML(extraction.pmid)}</a>` });
+    }
+    if (extraction.pmcid) {
+        fields.push({ label: 'PMCID', value: `<a href="https://www.ncbi.nlm.nih.gov/pmc/articles/${escapeHTML(encodeURIComponent(extraction.pmcid))}/" target="_blank">${escapeHTML(extraction.pmcid)}</a>` });
+    }
+    if (extraction.arxiv) {
+        fields.push({ label: 'arXiv', value: `<a href="https://arxiv.org/abs/${escapeHTML(encodeURIComponent(extraction.arxiv).replace(/%2F/g, '/'))}" target="_blank">${escapeHTML(extraction.arxiv)}</a>` });
     }
     if (extraction.isbn) {
-        fields.push({ label: 'ISBN', value: extraction.isbn });
+        fields.push({ field: 'isbn', label: 'ISBN', value: escapeHTML(extraction.isbn) });
+    }
+    if (extraction.manualCorrections?.title) {
+        fields.push({ field: 'title', label: 'Title', value: escapeHTML(extraction.title || '') });
     }
     if (extraction.authors && extraction.authors.length > 0) {
-        const authorStr = extraction.authors.map(a => `${a.family || ''}, ${a.given || ''}`).join('; ');
-        fields.push({ label: 'Authors', value: authorStr + (extraction.authors_truncated ? ' et al.' : '') });
+        fields.push({ field: 'authors', label: 'Authors', value: escapeHTML(formatAuthors(extraction.authors, extraction.authors_truncated)) });
     }
     if (extraction.year) {
-        fields.push({ label: 'Year', value: extraction.year });
+        fields.push({ field: 'year', label: 'Year', value: extraction.year });
     }
     if (extraction.container_title) {
-        fields.push({ label: 'Journal/Book', value: extraction.container_title });
+        fields.push({ field: 'container_title', label: 'Journal/Book', value: escapeHTML(extraction.container_title) });
     }
     if (extraction.volume) {
-        fields.push({ label: 'Volume', value: extraction.volume });
+        fields.push({ field: 'volume', label: 'Volume', value: escapeHTML(extraction.volume) });
     }
     if (extraction.issue) {
-        fields.push({ label: 'Issue', value: extraction.issue });
+        fields.push({ field: 'issue', label: 'Issue', value: escapeHTML(extraction.issue) });
     }
     if (extraction.pages) {
-        fields.push({ label: 'Pages', value: extraction.pages });
+        fields.push({ field: 'pages', label: 'Pages', value: escapeHTML(extraction.pages) });
     }
 
     if (fields.length === 0) {
         return '<div class="extraction-field"><span class="extraction-field-value">No fields extracted</span></div>';
     }
 
-    return fields.map(f => `
-        <div class="extraction-field">
+    const corrections = extraction.manualCorrections || {};
+    return fields.map(f => {
+        const correction = f.field && corrections[f.field];
+        const title = correction ? ` title="Corrected by hand - extracted: ${escapeHTML(formatOriginalValue(f.field, correction.original))}"` : '';
+        return `
+        <div class="extraction-field${correction ? ' corrected' : ''}"${title}>
             <span class="extraction-field-label">${f.label}:</span>
             <span class="extraction-field-value">${f.value}</span>
         </div>
+    `;
+    }).join('');
+}
+
+/**
+ * Render the form for correcting the extracted fields
+ */
+function renderFieldEditor(extraction) {
+    const inputs = EDITABLE_FIELDS.map(field => {
+        const value = field === 'authors'
+            ? formatAuthors(extraction.authors, extraction.authors_truncated)
+            : String(extraction[field] ?? '');
+        return `
+        <label class="extraction-field">
+            <span class="extraction-field-label">${CITATION_FIELD_LABELS[field]}:</span>
+            <input class="extraction-edit-input" type="${field === 'year' ? 'number' : 'text'}" name="${field}" value="${escapeHTML(value)}">
+        </label>
+    `;
+    }).join('');
+
+    return `
+        <form class="extraction-edit-form">
+            ${inputs}
+            <div class="extraction-edit-hint">Authors as "Family, Given; Family, Given" - end with "et al." if the list is truncated</div>
+            <div class="extraction-actions">
+                <button type="submit" class="btn btn-primary btn-sm">Save</button>
+                <button type="button" class="btn btn-secondary btn-sm" data-edit="cancel">Cancel</button>
+            </div>
+        </form>
+    `;
+}
+
+/**
+ * Read the fields changed in the correction form
+ * @returns {Object} - New values of the changed fields only
+ */
+function readFieldEditor(form) {
+    const changes = {};
+    for (const field of EDITABLE_FIELDS) {
+        const input = form.elements[field];
+        if (input.value === input.defaultValue) continue;
+
+        const value = input.value.trim();
+        if (field === 'authors') {
+            const truncated = /,?\s*et al\.?$/i;
+            changes.authors = parseAuthors(value.replace(truncated, ''));
+            changes.authors_truncated = truncated.test(value);
+        } else if (field === 'year') {
+            changes.year = value ? parseInt(value, 10) : null;
+        } else {
+            changes[field] = value;
+        }
+    }
+    return changes;
+}
+
+/**
+ * Switch the fields of a card to the correction form
+ * @param {Function} onCorrect - Called with the extraction and the changed fields on save
+ */
+function openFieldEditor(card, extraction, onCorrect) {
+    const container = card.querySelector('.extraction-fields');
+    if (!container || container.querySelector('form')) return;
+
+    card.classList.add('expanded');
+    container.innerHTML = renderFieldEditor(extraction);
+    const form = container.querySelector('form');
+
+    const close = () => {
+        container.innerHTML = renderExtractionFields(extraction);
+    };
+
+    form.querySelector('[data-edit="cancel"]').addEventListener('click', close);
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const changes = readFieldEditor(form);
+        if (Object.keys(changes).length === 0) {
+            close();
+            return;
+        }
+        onCorrect(extraction, changes);
+    });
+    form.elements[EDITABLE_FIELDS[0]].focus();
+}
+
+/**
+ * Render identifier mismatches between the LLM output and the deterministic scan
+ */
+function renderIdentifierMismatches(extraction) {
+    if (!extraction.identifierMismatches?.length) return '';
+
+    const items = extraction.identifierMismatches.map(m => `
+        <div class="validation-match suspicious">
+            <strong>${escapeHTML(m.type.toUpperCase())}:</strong> LLM returned <code>${escapeHTML(m.extracted)}</code>,
+            text contains <code>${escapeHTML(m.scanned)}</code> (used for validation)
+        </div>
     `).join('');
+
+    return `
+        <div class="validation-section">
+            <h4>Identifier Check</h4>
+            ${items}
+        </div>
+    `;
+}
+
+/**
+ * Render fields of the LLM response that did not match the extraction schema
+ */
+function renderSchemaErrors(extraction) {
+    if (!extraction.schemaErrors?.length) return '';
+
+    const items = extraction.schemaErrors.map(e => `
+        <div class="validation-match mismatch">
+            <strong>${escapeHTML(e.field)}:</strong> ${escapeHTML(e.message)}
+        </div>
+    `).join('');
+
+    return `
+        <div class="validation-section">
+            <h4>Schema Check</h4>
+            ${items}
+        </div>
+    `;
+}
+
+/**
+ * Render the comparison with the rule-based parse (cross-check mode)
+ */
+function renderCrossCheck(extraction) {
+    if (!extraction.crossCheck) return '';
+
+    const { differences } = extraction.crossCheck;
+    const items = differences.length === 0
+        ? '<div class="validation-match match">Rule-based parse agrees with the LLM extraction</div>'
+        : differences.map(d => `
+            <div class="validation-match suspicious">
+                <strong>${escapeHTML(MATCH_FIELD_LABELS[d.field] || d.field)}:</strong> LLM returned <code>${escapeHTML(d.extracted)}</code>,
+                rule-based parser found <code>${escapeHTML(d.parsed)}</code>
+            </div>
+        `).join('');
+
+    return `
+        <div class="validation-section">
+            <h4>Rule-Based Cross-Check</h4>
+            ${items}
+        </div>
+    `;
 }
 
 /**
@@ -87,19 +277,10 @@ function getValidationClass(status) {
 function renderMatchScoreBreakdown(matchScore) {
     if (!matchScore || !matchScore.fields) return '';
 
-    const fieldLabels = {
-        title: 'Title',
-        authors: 'Authors',
-        year: 'Year',
-        journal: 'Journal',
-        volume: 'Volume',
-        pages: 'Pages'
-    };
-
     const items = Object.entries(matchScore.fields).map(([field, score]) => {
         const pct = Math.round(score * 100);
         const scoreClass = score >= 0.7 ? 'good' : score >= 0.4 ? 'warn' : 'bad';
-        return `<span class="field-score ${scoreClass}" title="${fieldLabels[field] || field}: ${pct}%">${fieldLabels[field] || field}: ${pct}%</span>`;
+        return `<span class="field-score ${scoreClass}" title="${MATCH_FIELD_LABELS[field] || field}: ${pct}%">${MATCH_FIELD_LABELS[field] || field}: ${pct}%</span>`;
     });
 
     return `<div class="match-score-breakdown">${items.join('')}</div>`;
@@ -155,6 +336,43 @@ function renderValidationResults(citation) {
     return html;
 }
 
+/**
+ * Render the reviewer verdict form
+ */
+function renderReviewSection(extraction) {
+    const review = extraction.review || {};
+    const options = Object.entries(VERDICT_LABELS).map(([key, label]) =>
+        `<option value="${key}"${review.verdict === key ? ' selected' : ''}>${escapeHTML(label)}</option>`
+    ).join('');
+
+    return `
+        <div class="validation-section">
+            <h4>Reviewer Verdict</h4>
+            <form class="review-form">
+                <select class="review-verdict" name="verdict">
+                    <option value="">Not reviewed</option>
+                    ${options}
+                </select>
+                <textarea class="review-note" name="note" rows="2" placeholder="Note (optional)">${escapeHTML(review.note || '')}</textarea>
+                <div class="extraction-actions">
+                    <button type="submit" class="btn btn-secondary btn-sm">Save verdict</button>
+                    ${review.reviewedAt ? `<span class="review-date">Reviewed ${escapeHTML(new Date(review.reviewedAt).toLocaleString())}</span>` : ''}
+                </div>
+            </form>
+        </div>
+    `;
+}
+
+/**
+ * Render the reviewer verdict badge shown next to the automated status
+ */
+function renderVerdictBadge(extraction) {
+    const verdict = extraction.review?.verdict;
+    if (!verdict) return '';
+    const note = extraction.review.note ? ` title="${escapeHTML(extraction.review.note)}"` : '';
+    return `<span class="verdict-badge ${verdict}"${note}>${escapeHTML(VERDICT_LABELS[verdict] || verdict)}</span>`;
+}
+
 /**
  * Render raw text section
  */
@@ -169,10 +387,63 @@ function renderRawText(citation) {
     `;
 }
 
+/**
+ * Render the edit / re-validate / re-extract buttons of a card
+ * @param {Object} actions - { onCorrect, onRevalidate, onReextract }, each called with the extraction
+ */
+function renderCardActions(extraction, actions) {
+    const buttons = [];
+    if (actions.onCorrect && !extraction.error) {
+        buttons.push('<button class="btn btn-secondary btn-sm" data-action="edit" title="Correct fields the extractor misread">Edit</button>');
+    }
+    if (actions.onRevalidate && !extraction.error && extraction.complete !== false) {
+        buttons.push('<button class="btn btn-secondary btn-sm" data-action="revalidate" title="Look this entry up in CrossRef/OpenAlex again">Re-validate</button>');
+    }
+    if (actions.onReextract && extraction.windowIndex) {
+        const label = extraction.error ? 'Retry' : `Re-extract W${extraction.windowIndex}`;
+        buttons.push(`<button class="btn btn-secondary btn-sm" data-action="reextract" title="Extract and validate the entries of window ${extraction.windowIndex} again">${label}</button>`);
+    }
+    return buttons.length > 0 ? `<div class="extraction-actions">${buttons.join('')}</div>` : '';
+}
+
+/**
+ * Bind the card action buttons; clicks do not toggle the card
+ */
+function bindCardActions(card, extraction, actions) {
+    const handlers = {
+        edit: actions.onCorrect && (() => openFieldEditor(card, extraction, actions.onCorrect)),
+        revalidate: actions.onRevalidate,
+        reextract: actions.onReextract
+    };
+    card.querySelectorAll('.extraction-actions [data-action]').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handlers[button.dataset.action]?.(extraction);
+        });
+    });
+}
+
+/**
+ * Show a card as busy while one of its actions runs
+ */
+export function setCardBusy(extractionsDisplay, extractionId, message) {
+    const card = extractionsDisplay.querySelector(`.extraction-card[data-extraction-id="${extractionId}"]`);
+    if (!card) return;
+    card.querySelectorAll('.extraction-actions button').forEach(button => {
+        button.disabled = true;
+    });
+    const status = card.querySelector('.extraction-status');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
 /**
  * Render an extraction card
+ * @param {Object} actions - Optional { onCorrect, onRevalidate, onReextract, onReview } handlers for the card buttons;
+ *   onCorrect is also called with the changed fields, onReview with { verdict, note }
  */
-export function renderExtractionCard(extraction, state, markersDisplay, extractionsDisplay) {
+export function renderExtractionCard(extraction, state, markersDisplay, extractionsDisplay, actions = {}) {
     const card = document.createElement('div');
     card.className = `extraction-card ${extraction.validationStatus || 'pending'}`;
     if (extraction.complete === false) {
@@ -191,14 +462,25 @@ export function renderExtractionCard(extraction, state, markersDisplay, extracti
         <div class="extraction-header">
             <div class="extraction-title">${escapeHTML(title)}</div>
             <div class="extraction-meta">
-                <span class="extraction-status ${extraction.validationStatus || 'pending'}">${statusLabel}</span>
+                ${renderVerdictBadge(extraction)}
+                <span class="extraction-status ${extraction.validationStatus || 'pending'}"${extraction.review?.verdict ? ' title="Automated status"' : ''}>${statusLabel}</span>
                 ${extraction.complete === false ? '<span class="incomplete-badge">Truncated</span>' : ''}
+                ${extraction.cancelled ? '<span class="cancelled-badge" title="Processing was cancelled before this entry was validated">Cancelled</span>' : ''}
+                ${extraction.identifierMismatches?.length ? '<span class="id-mismatch-badge" title="Identifier returned by the LLM differs from the source text">ID Mismatch</span>' : ''}
+                ${extraction.schemaErrors?.length ? '<span class="schema-error-badge" title="The LLM response for this entry did not match the extraction schema; invalid fields were dropped">Schema</span>' : ''}
+                ${extraction.manualCorrections ? `<span class="corrected-badge" title="Corrected by hand: ${escapeHTML(Object.keys(extraction.manualCorrections).map(f => CITATION_FIELD_LABELS[f] || f).join(', '))}">Corrected</span>` : ''}
+                ${!extraction.sourceSpan ? '<span class="unlocated-badge" title="The raw text of this entry could not be aligned with the input text">Unlocated</span>' : ''}
                 <span class="extraction-toggle">v</span>
             </div>
         </div>
         <div class="extraction-body">
-            ${renderExtractionFields(extraction)}
+            ${renderCardActions(extraction, actions)}
+            <div class="extraction-fields">${renderExtractionFields(extraction)}</div>
+            ${renderSchemaErrors(extraction)}
+            ${renderIdentifierMismatches(extraction)}
+            ${renderCrossCheck(extraction)}
             ${renderValidationResults(extraction)}
+            ${actions.onReview ? renderReviewSection(extraction) : ''}
             ${renderRawText(extraction)}
         </div>
     `;
@@ -208,6 +490,12 @@ export function renderExtractionCard(extraction, state, markersDisplay, extracti
     header.addEventListener('click', () => {
         card.classList.toggle('expanded');
     });
+    bindCardActions(card, extraction, actions);
+    card.querySelector('.review-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const form = e.currentTarget;
+        actions.onReview(extraction, { verdict: form.elements.verdict.value, note: form.elements.note.value });
+    });
 
     // Add hover listeners for bidirectional highlighting
     card.addEventListener('mouseenter', () => {
@@ -237,25 +525,50 @@ function handleCardHover(extraction, state, markersDisplay, extractionsDisplay)
 }
 
 /**
- * Render an error card
+ * Render the raw LLM responses kept for a window that could not be parsed
+ */
+function renderRawResponses(rawResponses) {
+    return rawResponses.map((response, i) => `
+        <div class="raw-text-section">
+            <h4>${i === 0 ? 'LLM Response' : 'Response to Correction Request'}</h4>
+            <div class="raw-text">${escapeHTML(response) || '(empty)'}</div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Render an error card for a window that could not be processed.
+ * The retry button sits in the header so it is reachable without expanding the card.
+ * @param {Object} extraction - Error extraction (createErrorExtraction)
+ * @param {Object} actions - Optional { onReextract } handler for the retry button
  */
-export function renderErrorCard(extractionsDisplay, windowIndex, errorMessage) {
+export function renderErrorCard(extraction, actions = {}) {
     const card = document.createElement('div');
     card.className = 'extraction-card invalid';
+    card.dataset.extractionId = extraction.id;
     card.innerHTML = `
         <div class="extraction-header">
-            <div class="extraction-title">Error processing Window ${windowIndex}</div>
+            <div class="extraction-title">Error processing Window ${extraction.windowIndex}</div>
             <div class="extraction-meta">
                 <span class="extraction-status invalid">Error</span>
+                ${renderCardActions(extraction, { onReextract: actions.onReextract })}
+                <span class="extraction-toggle">v</span>
             </div>
         </div>
         <div class="extraction-body">
             <div class="extraction-field">
-                <span class="extraction-field-value">${escapeHTML(errorMessage)}</span>
+                <span class="extraction-field-value">${escapeHTML(extraction.errorMessage)}</span>
             </div>
+            ${renderRawResponses(extraction.rawResponses || [])}
         </div>
     `;
-    extractionsDisplay.appendChild(card);
+
+    card.querySelector('.extraction-header').addEventListener('click', () => {
+        card.classList.toggle('expanded');
+    });
+    bindCardActions(card, extraction, actions);
+
+    return card;
 }
 
 /**
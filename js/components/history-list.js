@@ -0,0 +1,105 @@
+/**
+ * Run history list component
+ */
+
+import { STATUS_LABELS } from '../config/constants.js';
+import { escapeHTML } from '../utils/text.js';
+
+/**
+ * Validation statuses in display order
+ */
+const STATUS_ORDER = ['valid', 'suspicious', 'mismatch', 'invalid', 'incomplete', 'pending'];
+
+/**
+ * Get the label of a run's processing status
+ */
+function getRunStatusLabel(run, isActive) {
+    if (run.status === 'draft') return 'Not processed';
+    if (run.status === 'cancelled') return 'Cancelled';
+    if (run.status === 'running') return isActive ? 'Running' : 'Interrupted';
+    return 'Complete';
+}
+
+/**
+ * Render the per-status entry counts of a run
+ */
+function renderStatusBreakdown(extractions) {
+    const counts = {};
+    let errors = 0;
+    for (const extraction of extractions) {
+        if (extraction.error) {
+            errors++;
+        } else {
+            const status = extraction.validationStatus || 'pending';
+            counts[status] = (counts[status] || 0) + 1;
+        }
+    }
+
+    const chips = STATUS_ORDER
+        .filter(status => counts[status])
+        .map(status => `<span class="extraction-status ${status}">${counts[status]} ${escapeHTML(STATUS_LABELS[status] || 'Pending')}</span>`);
+    if (errors > 0) {
+        chips.push(`<span class="extraction-status invalid">${errors} Error${errors !== 1 ? 's' : ''}</span>`);
+    }
+    return chips.join('');
+}
+
+/**
+ * Render the list of saved runs
+ * @param {HTMLElement} container - List container
+ * @param {Array<Object>} runs - Saved runs, most recent first
+ * @param {Object} options
+ * @param {string} options.currentRunId - Id of the run shown in the app
+ * @param {boolean} options.isProcessing - Whether the current run is processing
+ * @param {Function} options.onOpen - Called with the run to open
+ * @param {Function} options.onRename - Called with the run to rename
+ * @param {Function} options.onDuplicate - Called with the run to duplicate
+ * @param {Function} options.onDelete - Called with the run to delete
+ */
+export function renderHistoryList(container, runs, options) {
+    const { currentRunId, isProcessing, onOpen, onRename, onDuplicate, onDelete } = options;
+
+    if (runs.length === 0) {
+        container.innerHTML = '<span class="placeholder">No saved runs yet - processed bibliographies appear here.</span>';
+        return;
+    }
+
+    container.innerHTML = '';
+    const fragment = document.createDocumentFragment();
+
+    for (const run of runs) {
+        const isCurrent = run.id === currentRunId;
+        const isRunning = isCurrent && isProcessing;
+        const entries = run.extractions.filter(e => !e.error).length;
+
+        const item = document.createElement('div');
+        item.className = `history-item${isCurrent ? ' current' : ''}`;
+        item.dataset.runId = run.id;
+        item.innerHTML = `
+            <div class="history-item-main">
+                <div class="history-item-name">${escapeHTML(run.name || 'Untitled run')}</div>
+                <div class="history-item-meta">
+                    ${escapeHTML(new Date(run.createdAt).toLocaleString())} &middot;
+                    ${entries} entr${entries !== 1 ? 'ies' : 'y'} &middot;
+                    ${getRunStatusLabel(run, isRunning)}${isCurrent ? ' &middot; open' : ''}
+                </div>
+                <div class="history-item-statuses">${renderStatusBreakdown(run.extractions)}</div>
+            </div>
+            <div class="history-item-actions">
+                <button class="btn btn-secondary btn-sm" data-action="open">Open</button>
+                <button class="btn btn-secondary btn-sm" data-action="rename">Rename</button>
+                <button class="btn btn-secondary btn-sm" data-action="duplicate" title="Copy the input into the editor to re-run it with different settings">Duplicate</button>
+                <button class="btn btn-secondary btn-sm" data-action="delete"${isRunning ? ' disabled' : ''}>Delete</button>
+            </div>
+        `;
+
+        const actions = { open: onOpen, rename: onRename, duplicate: onDuplicate, delete: onDelete };
+        item.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => actions[button.dataset.action]?.(run));
+        });
+
+        fragment.appendChild(item);
+    }
+
+    container.appendChild(fragment);
+}
@@ -2,228 +2,75 @@
  * Markers overlay component - text highlighting
  */
 
-import { escapeHTML, escapeRegExp, normalizeTextField } from '../utils/text.js';
+import { escapeHTML } from '../utils/text.js';
 
 /**
- * Extract significant words from a title for matching.
- * Filters out common short words and returns words >= 4 chars.
+ * Highlight the parts of a line covered by the source spans of its extractions
+ * @param {string} lineText - Text of the line
+ * @param {number} lineStart - Character offset of the line in the full text
+ * @param {Array<Object>} extractionsOnLine - Located extractions on this line
  */
-function getTitleWords(title) {
-    if (!title) return [];
-    const stopWords = new Set(['and', 'the', 'for', 'with', 'from', 'into', 'that', 'this', 'which', 'between', 'through']);
-    return title
-        .toLowerCase()
-        .split(/[\s\-:,;.]+/)
-        .filter(w => w.length >= 4 && !stopWords.has(w));
-}
-
-/**
- * Get searchable text fields from an extraction.
- * Prefers validated data (CrossRef/OpenAlex) when available,
- * falls back to LLM extraction data when unverified.
- * Results are cached on the extraction object for performance.
- */
-function getExtractionTextFields(extraction) {
-    // Return cached fields if available and validation status hasn't changed
-    if (extraction._cachedTextFields && extraction._cachedValidationStatus === extraction.validationStatus) {
-        return extraction._cachedTextFields;
+function highlightSpansInLine(lineText, lineStart, extractionsOnLine) {
+    const lineEnd = lineStart + lineText.length;
+
+    const segments = extractionsOnLine
+        .filter(e => e.sourceSpan)
+        .map(e => ({
+            start: Math.max(e.sourceSpan.start, lineStart) - lineStart,
+            end: Math.min(e.sourceSpan.end, lineEnd) - lineStart,
+            colorIndex: e.colorIndex,
+            extractionId: e.id
+        }))
+        .filter(segment => segment.end > segment.start)
+        .sort((a, b) => a.start - b.start);
+
+    if (segments.length === 0) {
+        return escapeHTML(lineText) || '&nbsp;';
     }
 
-    const fields = [];
-
-    // Use validated data if available and matching, otherwise fall back to LLM extraction
-    // For mismatches/suspicious, use extracted data since validated data points to wrong paper
-    if (extraction.validationStatus === 'valid' && extraction.validation) {
-        // Prefer CrossRef data, fall back to OpenAlex
-        const cr = extraction.validation.crossref;
-        const oa = extraction.validation.openalex;
-
-        // Title - from validated source
-        let validatedTitle = null;
-        if (cr?.title?.[0]) {
-            validatedTitle = cr.title[0];
-        } else if (oa?.display_name) {
-            validatedTitle = oa.display_name;
-        } else if (oa?.title) {
-            validatedTitle = oa.title;
-        }
-
-        if (validatedTitle) {
-            fields.push(normalizeTextField(validatedTitle));
-            // Also add significant title words for partial matching
-            getTitleWords(validatedTitle).forEach(word => fields.push(word));
-        }
-
-        // Container title (journal/book)
-        if (cr?.['container-title']?.[0]) {
-            fields.push(normalizeTextField(cr['container-title'][0]));
-        }
-
-        // Year
-        const crYear = cr?.['published-print']?.['date-parts']?.[0]?.[0] ||
-                       cr?.issued?.['date-parts']?.[0]?.[0];
-        if (crYear) {
-            fields.push(String(crYear));
-        } else if (oa?.publication_year) {
-            fields.push(String(oa.publication_year));
-        }
-
-        // Volume, issue, pages
-        if (cr?.volume) fields.push(String(cr.volume));
-        if (cr?.issue) fields.push(String(cr.issue));
-        if (cr?.page) fields.push(String(cr.page));
-
-        // DOI
-        if (cr?.DOI) fields.push(cr.DOI);
-        else if (oa?.doi) {
-            // OpenAlex DOI includes https://doi.org/ prefix, extract just the DOI
-            const doi = oa.doi.replace('https://doi.org/', '');
-            fields.push(doi);
-        }
+    let result = '';
+    let lastEnd = 0;
 
-        // PMID from OpenAlex
-        if (oa?.ids?.pmid) {
-            const pmid = oa.ids.pmid.replace('https://pubmed.ncbi.nlm.nih.gov/', '');
-            fields.push(pmid);
-        }
+    for (const segment of segments) {
+        // Overlapping spans: the earlier extraction keeps the shared text
+        const start = Math.max(segment.start, lastEnd);
+        if (start >= segment.end) continue;
 
-        // Authors from CrossRef
-        if (cr?.author && Array.isArray(cr.author)) {
-            cr.author.forEach(author => {
-                if (author.family) fields.push(author.family);
-                if (author.given) fields.push(author.given);
-            });
-        }
-        // Authors from OpenAlex (if no CrossRef authors)
-        else if (oa?.authorships && Array.isArray(oa.authorships)) {
-            oa.authorships.forEach(authorship => {
-                const name = authorship.author?.display_name;
-                if (name) {
-                    // Split display name into parts for matching
-                    name.split(/\s+/).forEach(part => {
-                        if (part.length >= 2) fields.push(part);
-                    });
-                }
-            });
-        }
-    } else {
-        // Unverified - use LLM extraction data
-        if (extraction.title) {
-            fields.push(normalizeTextField(extraction.title));
-            // Also add significant title words
-            getTitleWords(extraction.title).forEach(word => fields.push(word));
-        }
-        if (extraction.container_title) fields.push(normalizeTextField(extraction.container_title));
-        if (extraction.year) fields.push(String(extraction.year));
-        if (extraction.volume) fields.push(String(extraction.volume));
-        if (extraction.issue) fields.push(String(extraction.issue));
-        if (extraction.pages) fields.push(String(extraction.pages));
-        if (extraction.doi) fields.push(extraction.doi);
-        if (extraction.pmid) fields.push(String(extraction.pmid));
-        if (extraction.isbn) fields.push(extraction.isbn);
-
-        if (extraction.authors && Array.isArray(extraction.authors)) {
-            extraction.authors.forEach(author => {
-                if (author.family) fields.push(author.family);
-                if (author.given) fields.push(author.given);
-            });
+        if (start > lastEnd) {
+            result += escapeHTML(lineText.substring(lastEnd, start));
         }
+        result += `<span class="text-highlight marker-color-${segment.colorIndex}" data-extraction-id="${segment.extractionId}">${escapeHTML(lineText.substring(start, segment.end))}</span>`;
+        lastEnd = segment.end;
     }
 
-    const filteredFields = fields.filter(f => f && f.length >= 2);
-
-    // Cache the result
-    extraction._cachedTextFields = filteredFields;
-    extraction._cachedValidationStatus = extraction.validationStatus;
-
-    return filteredFields;
-}
-
-// Cache for compiled regexes to avoid creating them repeatedly
-const regexCache = new Map();
-
-function getCachedRegex(field) {
-    let regex = regexCache.get(field);
-    if (!regex) {
-        regex = new RegExp(escapeRegExp(field), 'gi');
-        // Limit cache size to prevent memory bloat
-        if (regexCache.size > 1000) {
-            // Clear oldest entries (first 500)
-            const keys = [...regexCache.keys()].slice(0, 500);
-            keys.forEach(k => regexCache.delete(k));
-        }
-        regexCache.set(field, regex);
+    if (lastEnd < lineText.length) {
+        result += escapeHTML(lineText.substring(lastEnd));
     }
-    // Reset lastIndex for global regex reuse
-    regex.lastIndex = 0;
-    return regex;
+
+    return result || '&nbsp;';
 }
 
 /**
- * Highlight text matches in a line for given extractions
+ * Line classes in order of precedence when several extractions share a line
  */
-function highlightTextInLine(lineText, extractionsOnLine) {
-    if (!lineText || extractionsOnLine.length === 0) {
-        return escapeHTML(lineText) || '&nbsp;';
-    }
-
-    const matches = [];
-
-    extractionsOnLine.forEach(extraction => {
-        const textFields = getExtractionTextFields(extraction);
-
-        textFields.forEach(field => {
-            const regex = getCachedRegex(field);
-            let match;
-            while ((match = regex.exec(lineText)) !== null) {
-                matches.push({
-                    start: match.index,
-                    end: match.index + match[0].length,
-                    text: match[0],
-                    colorIndex: extraction.colorIndex,
-                    extractionId: extraction.id
-                });
-            }
-        });
-    });
-
-    if (matches.length === 0) {
-        return escapeHTML(lineText) || '&nbsp;';
-    }
-
-    matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
-
-    const mergedMatches = [];
-    for (const match of matches) {
-        if (mergedMatches.length === 0) {
-            mergedMatches.push(match);
-        } else {
-            const last = mergedMatches[mergedMatches.length - 1];
-            if (match.start >= last.end) {
-                mergedMatches.push(match);
-            } else if (match.end > last.end) {
-                last.end = match.end;
-                last.text = lineText.substring(last.start, last.end);
-            }
-        }
-    }
+const LINE_CLASS_ORDER = ['line-valid', 'line-suspicious', 'line-miscited', 'line-mismatch', 'line-fabricated', 'line-invalid'];
 
-    let result = '';
-    let lastEnd = 0;
-
-    for (const match of mergedMatches) {
-        if (match.start > lastEnd) {
-            result += escapeHTML(lineText.substring(lastEnd, match.start));
-        }
-        result += `<span class="text-highlight marker-color-${match.colorIndex}" data-extraction-id="${match.extractionId}">${escapeHTML(match.text)}</span>`;
-        lastEnd = match.end;
+/**
+ * Get the line class of one extraction; a reviewer verdict overrides the automated status
+ */
+function getExtractionLineClass(extraction) {
+    switch (extraction.review?.verdict) {
+        case 'real': return 'line-valid';
+        case 'fabricated': return 'line-fabricated';
+        case 'miscited': return 'line-miscited';
     }
 
-    if (lastEnd < lineText.length) {
-        result += escapeHTML(lineText.substring(lastEnd));
+    switch (extraction.validationStatus) {
+        case 'valid': return 'line-valid';
+        case 'suspicious': return 'line-suspicious';
+        case 'mismatch': return 'line-mismatch';
+        default: return 'line-invalid';
     }
-
-    return result || '&nbsp;';
 }
 
 /**
@@ -232,20 +79,8 @@ function highlightTextInLine(lineText, extractionsOnLine) {
 function getLineValidationClass(extractionsOnLine) {
     if (extractionsOnLine.length === 0) return '';
 
-    // Check if any extraction on this line is verified
-    const hasValid = extractionsOnLine.some(e => e.validationStatus === 'valid');
-    if (hasValid) return 'line-valid';
-
-    // Check for suspicious (possible mismatch)
-    const hasSuspicious = extractionsOnLine.some(e => e.validationStatus === 'suspicious');
-    if (hasSuspicious) return 'line-suspicious';
-
-    // Check for mismatch (content doesn't match identifier)
-    const hasMismatch = extractionsOnLine.some(e => e.validationStatus === 'mismatch');
-    if (hasMismatch) return 'line-mismatch';
-
-    // All extractions are unverified
-    return 'line-invalid';
+    const classes = new Set(extractionsOnLine.map(getExtractionLineClass));
+    return LINE_CLASS_ORDER.find(cls => classes.has(cls));
 }
 
 /**
@@ -254,7 +89,9 @@ function getLineValidationClass(extractionsOnLine) {
 export function renderMarkersOverlay(markersDisplay, text, state) {
     // Handle all line ending types: \r\n (Windows), \n (Unix), \r (old Mac)
     const lines = text.split(/\r\n|\r|\n/);
+    const separators = text.match(/\r\n|\r|\n/g) || [];
     let html = '';
+    let lineStart = 0;
 
     for (let lineIdx = 0; lineIdx < lines.length; lineIdx++) {
         const lineNum = lineIdx + 1;
@@ -264,7 +101,8 @@ export function renderMarkersOverlay(markersDisplay, text, state) {
         const extractionsOnLine = [...extractionIds].map(id => state.extractionMap.get(id)).filter(Boolean);
 
         const extractionIdAttr = extractionsOnLine.map(e => e.id).join(' ');
-        const highlightedText = highlightTextInLine(lineText, extractionsOnLine);
+        const highlightedText = highlightSpansInLine(lineText, lineStart, extractionsOnLine);
+        lineStart += lineText.length + (separators[lineIdx]?.length || 0);
         const validationClass = getLineValidationClass(extractionsOnLine);
 
         html += `<div class="marked-line ${validationClass}" data-line="${lineNum}" data-extraction-ids="${extractionIdAttr}">`;
@@ -0,0 +1,36 @@
+/**
+ * Stats pie chart component
+ */
+
+/**
+ * Build an SVG donut chart using the stroke-dasharray technique
+ * @param {Array<{key: string, count: number, color: string}>} segments - Chart segments in drawing order
+ * @returns {string} - SVG markup (empty segments are skipped)
+ */
+export function renderPieSVG(segments) {
+    const total = segments.reduce((sum, s) => sum + s.count, 0);
+    const circumference = 2 * Math.PI * 8; // radius = 8
+
+    let svg = `
+        <svg viewBox="0 0 20 20">
+            <circle cx="10" cy="10" r="8" fill="none" stroke="#e2e8f0" stroke-width="4"/>
+    `;
+
+    let offset = 0;
+    for (const segment of segments) {
+        if (segment.count === 0 || total === 0) continue;
+
+        const dash = (segment.count / total) * circumference;
+        svg += `
+            <circle class="pie-segment" data-filter="${segment.key}" cx="10" cy="10" r="8" fill="none"
+                stroke="${segment.color}" stroke-width="4"
+                stroke-dasharray="${dash} ${circumference}"
+                stroke-dashoffset="${-offset}"
+                transform="rotate(-90 10 10)"/>
+        `;
+        offset += dash;
+    }
+
+    svg += `</svg>`;
+    return svg;
+}
@@ -13,7 +13,86 @@ export const WINDOW_COLORS = [
 
 export const DEFAULT_ENDPOINTS = {
     openai: 'https://api.openai.com/v1',
-    google: 'https://generativelanguage.googleapis.com/v1beta'
+    google: 'https://generativelanguage.googleapis.com/v1beta',
+    anthropic: 'https://api.anthropic.com/v1',
+    ollama: 'http://localhost:11434',
+    llamacpp: 'http://localhost:8080'
 };
 
+/**
+ * Providers running on a local or LAN machine - these do not need an API key
+ */
+export const LOCAL_PROVIDERS = ['ollama', 'llamacpp'];
+
+export const ANTHROPIC_VERSION = '2023-06-01';
+export const ANTHROPIC_MAX_TOKENS = 8192;
+
 export const DEBOUNCE_DELAY = 300;
+
+// Delay before the running processing run is saved to IndexedDB (ms)
+export const RUN_SAVE_DELAY = 1000;
+
+// How long CrossRef/OpenAlex responses are served from the local cache (ms)
+export const LOOKUP_CACHE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// How long "not found" answers are cached - new DOIs appear in CrossRef/OpenAlex within days (ms)
+export const LOOKUP_MISS_TTL = 24 * 60 * 60 * 1000;
+
+export const STATUS_LABELS = {
+    valid: 'Verified',
+    suspicious: 'Needs Review',
+    mismatch: 'Mismatch',
+    invalid: 'Unverified',
+    incomplete: 'Incomplete'
+};
+
+// Reviewer verdicts, set by hand on an extraction card; they take precedence over the automated status
+export const VERDICT_LABELS = {
+    real: 'Confirmed real',
+    fabricated: 'Confirmed fabricated',
+    miscited: 'Real but miscited',
+    undetermined: "Can't determine"
+};
+
+// Result categories shown in the pie chart and filter, combining verdicts and automated statuses
+export const CATEGORY_LABELS = {
+    verified: 'Verified',
+    miscited: 'Miscited',
+    fabricated: 'Fabricated',
+    unverified: 'Unverified'
+};
+
+export const CATEGORY_COLORS = {
+    verified: '#10b981',
+    miscited: '#8b5cf6',
+    fabricated: '#7f1d1d',
+    unverified: '#ef4444'
+};
+
+export const MATCH_FIELD_LABELS = {
+    title: 'Title',
+    authors: 'Authors',
+    year: 'Year',
+    journal: 'Journal',
+    volume: 'Volume',
+    issue: 'Issue',
+    pages: 'Pages'
+};
+
+// Citation fields that can be corrected by hand on an extraction card
+export const CITATION_FIELD_LABELS = {
+    title: 'Title',
+    authors: 'Authors',
+    authors_truncated: 'Et al.',
+    year: 'Year',
+    container_title: 'Journal/Book',
+    volume: 'Volume',
+    issue: 'Issue',
+    pages: 'Pages',
+    doi: 'DOI',
+    pmid: 'PMID',
+    isbn: 'ISBN'
+};
+
+export const PDFJS_MODULE_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.10.38/build/pdf.min.mjs';
+export const PDFJS_WORKER_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.10.38/build/pdf.worker.min.mjs';
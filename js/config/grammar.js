@@ -0,0 +1,11 @@
+/**
+ * GBNF grammar for llama.cpp server - constrains output to a JSON array
+ */
+
+export const JSON_ARRAY_GRAMMAR = String.raw`root   ::= ws "[" ws (object (ws "," ws object)*)? ws "]" ws
+value  ::= object | array | string | number | ("true" | "false" | "null")
+object ::= "{" ws (string ws ":" ws value (ws "," ws string ws ":" ws value)*)? ws "}"
+array  ::= "[" ws (value (ws "," ws value)*)? ws "]"
+string ::= "\"" ([^"\\\x7F\x00-\x1F] | "\\" (["\\/bfnrt] | "u" [0-9a-fA-F]{4}))* "\""
+number ::= "-"? ([0-9] | [1-9] [0-9]*) ("." [0-9]+)? ([eE] [-+]? [0-9]+)?
+ws     ::= [ \t\n]{0,20}`;
@@ -6,6 +6,175 @@ export const DEFAULT_PROMPT = `You are a citation extractor. You will receive a
 
 ## Context
 
+- This is a WINDOW from a larger bibliography (lines {START_LINE} to {END_LINE})
+- Window size: up to {WINDOW_SIZE} characters
+- Overlap: up to {OVERLAP_LINES} characters with adjacent windows
+- Every line is prefixed with its line number in the full text, followed by \`|\` (e.g. \`12 | Smith J. ...\`). The prefix is NOT part of the text
+- Entries at window edges may be INCOMPLETE - extract all visible fields anyway
+
+## Critical Rules
+
+1. **EXTRACT ONLY**: If text is not explicitly present, DO NOT include the field
+2. **ALWAYS EXTRACT VISIBLE FIELDS**: Even for incomplete entries, extract ALL fields that are visible in this window. The system will merge incomplete entries across windows.
+3. **NO GUESSING**: Do not expand abbreviations, complete author names, or infer identifiers
+4. **VERBATIM ONLY**: Copy exactly as written, including typos and abbreviations
+
+## Text Normalization
+
+- **Titles**: Remove surrounding quotation marks ("", '', curly quotes, etc.) - extract only the title text itself, not the enclosing punctuation
+- **Authors**: Preserve exact formatting (abbreviations, initials as written)
+- **Numbers**: Keep as-is (don't add leading zeros or reformat)
+- **Abbreviations**: Keep journal/container abbreviations as written (e.g., "J. Biol. Chem." not "Journal of Biological Chemistry")
+
+## Output Format
+
+Return a JSON array. One object per bibliography entry found in this window:
+\`\`\`json
+[
+  {
+    "complete": true,
+
+    "doi": "only if present",
+    "pmid": "only if labeled",
+    "isbn": "only if labeled",
+
+    "title": "exact title without surrounding quotes",
+    "year": 2023,
+    "authors": [
+      {"family": "Smith", "given": "J."}
+    ],
+    "authors_truncated": false,
+    "container_title": "journal or book name as written",
+    "volume": "if present",
+    "issue": "if present",
+    "pages": "if present",
+
+    "raw_text": "the complete original text of this entry",
+    "query_bibliographic": "Smith 2023 key title words container",
+
+    "start_line": 12,
+    "end_line": 13
+  }
+]
+\`\`\`
+
+## Field Rules
+
+| Field | Include only if... |
+|-------|-------------------|
+| \`doi\` | Pattern \`10.xxxx/xxxxx\` explicitly present |
+| \`pmid\` | Labeled "PMID" or "PubMed" with number |
+| \`isbn\` | Labeled "ISBN" with number |
+| \`title\` | Identifiable title text exists (even partial). **Remove surrounding quotes.** |
+| \`year\` | 4-digit year (1900-2099) clearly present |
+| \`authors\` | Names explicitly listed (even partial list) |
+| \`authors_truncated\` | Set \`true\` if "et al." present |
+| \`container_title\` | Journal/book name as written (keep abbreviations) |
+| \`volume\`, \`issue\`, \`pages\` | Only if unambiguously present |
+| \`query_bibliographic\` | Built ONLY from extracted fields: \`{first_author_family} {year} {title_keywords} {container}\` |
+| \`start_line\`, \`end_line\` | ALWAYS: the line numbers (from the prefixes) of the first and last line of this entry within the window |
+| \`raw_text\` | ALWAYS: the entry text WITHOUT the line number prefixes |
+
+## Incomplete Entry Detection
+
+Mark \`"complete": false\` if:
+- Entry text starts mid-sentence (cut off at window start)
+- Entry text ends mid-sentence (cut off at window end)
+- Essential components appear missing due to truncation
+
+For incomplete entries:
+- Set \`"complete": false\`
+- Set \`"position": "start"\` if cut off at beginning of window, \`"end"\` if cut off at end
+- Include \`reason\`: why it's incomplete
+- Include \`raw_text\`: the partial text visible
+- **IMPORTANT**: Also extract ALL visible fields (title, authors, year, etc.) even if partial. The system will merge with the adjacent window.
+
+## Overlap Handling
+
+- Citations in overlap regions will appear in multiple windows
+- Extract them fully in EACH window where they appear - the system handles deduplication
+- Do NOT skip entries because they might be in another window
+- Do NOT try to detect duplicates yourself
+
+## Example
+
+**Input window:**
+\`\`\`
+21 | Smith, J. "The Effect of Climate on Plant Growth" Nature 2023; 45(3): 123-145. doi:10.1038/nature.2023.1234
+22 |
+23 | Jones A, Brown B, et al. Machine Learning Applications in Biology.
+24 | Cell 2022; 12: 89-92. PMID: 12345678
+25 |
+26 | Williams, C. 'Advances in Quantum Computing for
+\`\`\`
+
+**Output:**
+\`\`\`json
+[
+  {
+    "complete": true,
+    "doi": "10.1038/nature.2023.1234",
+    "title": "The Effect of Climate on Plant Growth",
+    "year": 2023,
+    "authors": [{"family": "Smith", "given": "J."}],
+    "authors_truncated": false,
+    "container_title": "Nature",
+    "volume": "45",
+    "issue": "3",
+    "pages": "123-145",
+    "raw_text": "Smith, J. \\"The Effect of Climate on Plant Growth\\" Nature 2023; 45(3): 123-145. doi:10.1038/nature.2023.1234",
+    "query_bibliographic": "Smith 2023 Effect Climate Plant Growth Nature",
+    "start_line": 21,
+    "end_line": 21
+  },
+  {
+    "complete": true,
+    "pmid": "12345678",
+    "title": "Machine Learning Applications in Biology",
+    "year": 2022,
+    "authors": [{"family": "Jones", "given": "A"}, {"family": "Brown", "given": "B"}],
+    "authors_truncated": true,
+    "container_title": "Cell",
+    "volume": "12",
+    "pages": "89-92",
+    "raw_text": "Jones A, Brown B, et al. Machine Learning Applications in Biology.\\nCell 2022; 12: 89-92. PMID: 12345678",
+    "query_bibliographic": "Jones 2022 Machine Learning Applications Biology Cell",
+    "start_line": 23,
+    "end_line": 24
+  },
+  {
+    "complete": false,
+    "position": "end",
+    "reason": "entry continues beyond window end",
+    "title": "Advances in Quantum Computing for",
+    "authors": [{"family": "Williams", "given": "C."}],
+    "raw_text": "Williams, C. 'Advances in Quantum Computing for",
+    "start_line": 26,
+    "end_line": 26
+  }
+]
+\`\`\`
+
+Note: Titles are extracted WITHOUT surrounding quotes ("The Effect..." not "\\"The Effect...\\"")`;
+
+/**
+ * Follow-up instruction sent once when a response could not be parsed as JSON.
+ * Appended after the original window text and the rejected response.
+ */
+export const JSON_CORRECTION_PROMPT = `Your previous response to the text above could not be parsed as JSON ({PARSE_ERROR}).
+
+Re-emit the complete result as valid JSON only, in exactly the output format described in your instructions. Do not add commentary or markdown code fences, and escape any double quotes inside string values.`;
+
+/**
+ * Earlier versions of DEFAULT_PROMPT, kept verbatim so that settings saved with an
+ * unedited default prompt pick up the current one (see loadSettings)
+ */
+export const PREVIOUS_DEFAULT_PROMPTS = [
+    // Before line-numbered input and start_line/end_line
+    `You are a citation extractor. You will receive a WINDOW of text from a larger bibliography. Extract ONLY what is explicitly written. NEVER infer or generate information.
+
+## Context
+
 - This is a WINDOW from a larger bibliography (lines {START_LINE} to {END_LINE})
 - Window size: {WINDOW_SIZE} lines
 - Overlap: {OVERLAP_LINES} lines with adjacent windows
@@ -143,4 +312,5 @@ For incomplete entries:
 ]
 \`\`\`
 
-Note: Titles are extracted WITHOUT surrounding quotes ("The Effect..." not "\\"The Effect...\\"")`;
+Note: Titles are extracted WITHOUT surrounding quotes ("The Effect..." not "\\"The Effect...\\"")`
+];
@@ -0,0 +1,56 @@
+/**
+ * Extraction schema - the shape of one citation object returned by the LLM.
+ * Sent to providers that support structured output and used to validate every response.
+ */
+
+export const EXTRACTION_SCHEMA = {
+    type: 'object',
+    properties: {
+        complete: { type: 'boolean' },
+        position: { type: 'string', enum: ['start', 'end'] },
+        reason: { type: 'string' },
+
+        doi: { type: 'string' },
+        pmid: { type: 'string' },
+        isbn: { type: 'string' },
+
+        title: { type: 'string' },
+        year: { type: 'integer' },
+        authors: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    family: { type: 'string' },
+                    given: { type: 'string' }
+                },
+                additionalProperties: false
+            }
+        },
+        authors_truncated: { type: 'boolean' },
+        container_title: { type: 'string' },
+        volume: { type: 'string' },
+        issue: { type: 'string' },
+        pages: { type: 'string' },
+
+        raw_text: { type: 'string' },
+        query_bibliographic: { type: 'string' },
+
+        start_line: { type: 'integer' },
+        end_line: { type: 'integer' }
+    },
+    required: ['complete', 'raw_text'],
+    additionalProperties: false
+};
+
+/**
+ * Response schema for providers that require an object at the top level
+ */
+export const EXTRACTION_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        citations: { type: 'array', items: EXTRACTION_SCHEMA }
+    },
+    required: ['citations'],
+    additionalProperties: false
+};
@@ -0,0 +1,275 @@
+/**
+ * Citation formatter - renders CSL-JSON items as a plain-text bibliography
+ * Supports a pragmatic subset of APA 7, Vancouver (ICMJE) and Harvard (Cite Them Right)
+ */
+
+export const CITATION_STYLES = {
+    apa: 'APA 7th',
+    vancouver: 'Vancouver',
+    harvard: 'Harvard'
+};
+
+/**
+ * Get the publication year of a CSL item, or null
+ */
+function getYear(item) {
+    return item.issued?.['date-parts']?.[0]?.[0] || null;
+}
+
+/**
+ * Convert given names to initials
+ * "John Robert" -> ["J", "R"], "Jean-Paul" -> ["J-P"], "J.R." -> ["J", "R"]
+ */
+function getInitials(given) {
+    if (!given) return [];
+    return given
+        .replace(/\./g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(part => part.split('-').map(p => p.charAt(0).toUpperCase()).join('-'));
+}
+
+/**
+ * Strip trailing punctuation so style punctuation is not doubled
+ */
+function trimPunctuation(text) {
+    return String(text || '').trim().replace(/[.,;:\s]+$/, '');
+}
+
+/**
+ * End a text with a period unless it already ends with one (e.g. "et al." or "Inc.")
+ */
+function endWithPeriod(text) {
+    return text.endsWith('.') ? text : `${text}.`;
+}
+
+/**
+ * Join items as "a, b, c & d" (APA) or "a, b and c" (Harvard)
+ */
+function joinWithConjunction(parts, conjunction, serialComma) {
+    if (parts.length <= 1) return parts.join('');
+    if (parts.length === 2) return `${parts[0]}${serialComma ? ',' : ''} ${conjunction} ${parts[1]}`;
+    return `${parts.slice(0, -1).join(', ')}${serialComma ? ',' : ''} ${conjunction} ${parts[parts.length - 1]}`;
+}
+
+/**
+ * Format page ranges with an en dash
+ */
+function formatPages(pages) {
+    return String(pages).replace(/\s*[-–—]+\s*/, '–');
+}
+
+/**
+ * Format the family name of an author (or a literal/institutional name)
+ */
+function familyName(author) {
+    return author.literal || author.family || '';
+}
+
+// ================================
+// APA 7th
+// ================================
+
+function formatAPAAuthor(author) {
+    const initials = getInitials(author.given).map(i => `${i.replace(/-/g, '.-')}.`).join(' ');
+    return initials ? `${familyName(author)}, ${initials}` : familyName(author);
+}
+
+function formatAPAAuthors(authors) {
+    if (!authors?.length) return '';
+    const names = authors.map(formatAPAAuthor);
+
+    // APA lists up to 20 authors; beyond that the first 19, an ellipsis, then the last
+    if (names.length > 20) {
+        return `${names.slice(0, 19).join(', ')}, . . . ${names[names.length - 1]}`;
+    }
+    return joinWithConjunction(names, '&', true);
+}
+
+function formatAPA(item) {
+    const authors = formatAPAAuthors(item.author);
+    const year = getYear(item) || 'n.d.';
+    const title = trimPunctuation(item.title);
+    const container = trimPunctuation(item['container-title']);
+    const parts = [];
+
+    if (authors) {
+        parts.push(`${trimPunctuation(authors)}. (${year}).`);
+        if (title) parts.push(`${title}.`);
+    } else {
+        // Without authors the title moves into the author position
+        parts.push(`${title || 'Untitled'}. (${year}).`);
+    }
+
+    if (item.type === 'article-journal' || item.type === 'article') {
+        let source = container;
+        if (item.volume) source += `${source ? ', ' : ''}${item.volume}`;
+        if (item.issue) source += `(${item.issue})`;
+        if (item.page) source += `${source ? ', ' : ''}${formatPages(item.page)}`;
+        if (source) parts.push(endWithPeriod(source));
+    } else if (item.type === 'chapter' || item.type === 'paper-conference') {
+        if (container) {
+            parts.push(`In ${container}${item.page ? ` (pp. ${formatPages(item.page)})` : ''}.`);
+        }
+        if (item.publisher) parts.push(`${trimPunctuation(item.publisher)}.`);
+    } else {
+        if (container) parts.push(`${container}.`);
+        if (item.publisher) parts.push(`${trimPunctuation(item.publisher)}.`);
+    }
+
+    if (item.DOI) {
+        parts.push(`https://doi.org/${item.DOI}`);
+    } else if (item.URL) {
+        parts.push(item.URL);
+    }
+
+    return parts.join(' ');
+}
+
+// ================================
+// Vancouver
+// ================================
+
+function formatVancouverAuthor(author) {
+    if (author.literal) return author.literal;
+    const initials = getInitials(author.given).map(i => i.replace(/-/g, '')).join('');
+    return initials ? `${author.family} ${initials}` : author.family;
+}
+
+function formatVancouverAuthors(authors) {
+    if (!authors?.length) return '';
+    const names = authors.map(formatVancouverAuthor);
+
+    // Vancouver lists the first 6 authors, then "et al."
+    if (names.length > 6) {
+        return `${names.slice(0, 6).join(', ')}, et al.`;
+    }
+    return endWithPeriod(names.join(', '));
+}
+
+function formatVancouver(item) {
+    const parts = [];
+    const authors = formatVancouverAuthors(item.author);
+    const year = getYear(item);
+    const title = trimPunctuation(item.title);
+    const container = trimPunctuation(item['container-title']);
+
+    if (authors) parts.push(authors);
+    if (title) parts.push(`${title}.`);
+
+    if (item.type === 'article-journal' || item.type === 'article') {
+        if (container) parts.push(`${container}.`);
+        let source = year ? String(year) : '';
+        if (item.volume) source += `;${item.volume}`;
+        if (item.issue) source += `(${item.issue})`;
+        if (item.page) source += `:${String(item.page).replace(/\s*[-–—]+\s*/, '-')}`;
+        if (source) parts.push(endWithPeriod(source));
+    } else {
+        if (item.type === 'chapter' || item.type === 'paper-conference') {
+            if (container) parts.push(`In: ${container}.`);
+        } else if (container) {
+            parts.push(`${container}.`);
+        }
+        const publication = [trimPunctuation(item.publisher), year].filter(Boolean).join('; ');
+        if (publication) parts.push(`${publication}.`);
+        if (item.page) parts.push(endWithPeriod(`p. ${String(item.page).replace(/\s*[-–—]+\s*/, '-')}`));
+    }
+
+    if (item.DOI) parts.push(`doi:${item.DOI}`);
+    if (item.PMID) parts.push(`PMID: ${item.PMID}.`);
+
+    return parts.join(' ');
+}
+
+// ================================
+// Harvard (Cite Them Right)
+// ================================
+
+function formatHarvardAuthor(author) {
+    if (author.literal) return author.literal;
+    const initials = getInitials(author.given).map(i => `${i.replace(/-/g, '.-')}.`).join('');
+    return initials ? `${author.family}, ${initials}` : author.family;
+}
+
+function formatHarvardAuthors(authors) {
+    if (!authors?.length) return '';
+    if (authors.length > 3) {
+        return `${formatHarvardAuthor(authors[0])} et al.`;
+    }
+    return joinWithConjunction(authors.map(formatHarvardAuthor), 'and', false);
+}
+
+function formatHarvard(item) {
+    const authors = formatHarvardAuthors(item.author);
+    const year = getYear(item) || 'no date';
+    const title = trimPunctuation(item.title);
+    const container = trimPunctuation(item['container-title']);
+    const isPart = ['article-journal', 'article', 'chapter', 'paper-conference'].includes(item.type);
+
+    let text = `${authors || title || 'Anon.'} (${year})`;
+    if (authors && title) {
+        text += isPart ? ` '${title}'` : ` ${title}`;
+    }
+
+    if (item.type === 'article-journal' || item.type === 'article') {
+        const details = [];
+        if (container) details.push(container);
+        if (item.volume) details.push(item.issue ? `${item.volume}(${item.issue})` : item.volume);
+        if (item.page) details.push(`pp. ${formatPages(item.page)}`);
+        if (details.length) text += `, ${details.join(', ')}`;
+    } else if (item.type === 'chapter' || item.type === 'paper-conference') {
+        if (container) text += `, in ${container}`;
+        if (item.publisher) text += `. ${trimPunctuation(item.publisher)}`;
+        if (item.page) text += `, pp. ${formatPages(item.page)}`;
+    } else if (item.publisher) {
+        text += `. ${trimPunctuation(item.publisher)}`;
+    }
+
+    text = endWithPeriod(text);
+    if (item.DOI) text += ` Available at: https://doi.org/${item.DOI}.`;
+
+    return text;
+}
+
+const FORMATTERS = {
+    apa: formatAPA,
+    vancouver: formatVancouver,
+    harvard: formatHarvard
+};
+
+/**
+ * Format a single CSL-JSON item
+ * @param {Object} item - CSL-JSON item
+ * @param {string} style - One of the keys of CITATION_STYLES
+ * @returns {string}
+ */
+export function formatCitation(item, style) {
+    const formatter = FORMATTERS[style];
+    if (!formatter) {
+        throw new Error(`Unknown citation style: ${style}`);
+    }
+    return formatter(item).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Format a bibliography.
+ * APA and Harvard are sorted alphabetically by first author and year;
+ * Vancouver keeps the given (citation) order and is numbered.
+ * @param {Array<Object>} items - CSL-JSON items
+ * @param {string} style - One of the keys of CITATION_STYLES
+ * @returns {Array<string>} - Formatted entries
+ */
+export function formatBibliography(items, style) {
+    if (style === 'vancouver') {
+        return items.map((item, i) => `${i + 1}. ${formatCitation(item, style)}`);
+    }
+
+    const sortKey = item => [
+        familyName(item.author?.[0] || {}) || item.title || '',
+        String(getYear(item) || '9999')
+    ].join(' ').toLowerCase();
+
+    return [...items]
+        .sort((a, b) => sortKey(a).localeCompare(sortKey(b)))
+        .map(item => formatCitation(item, style));
+}
@@ -0,0 +1,288 @@
+/**
+ * DOCX import service - reads Word paragraphs and extracts the reference list
+ */
+
+import { readZipEntry } from '../utils/zip.js';
+import { findReferenceSection, isReferenceHeading } from '../utils/reference-section.js';
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+/**
+ * Heading paragraph styles (English "Heading1", German "berschrift1", "Title")
+ */
+const HEADING_STYLE = /^(heading|berschrift|title)\s*\d*$/i;
+
+/**
+ * Get a w:-namespaced attribute
+ */
+function wAttr(element, name) {
+    return element.getAttributeNS(W_NS, name) || element.getAttribute(`w:${name}`) || '';
+}
+
+/**
+ * Get the first direct child with the given w: local name
+ */
+function wChild(element, localName) {
+    for (const child of element.children) {
+        if (child.namespaceURI === W_NS && child.localName === localName) {
+            return child;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check if a field instruction is Word's built-in bibliography field
+ */
+function isBibliographyInstruction(instr) {
+    return /^\s*BIBLIOGRAPHY\b/i.test(instr);
+}
+
+/**
+ * Check if an element is nested in a bibliography content control or simple field
+ */
+function hasBibliographyAncestor(element) {
+    for (let node = element.parentElement; node; node = node.parentElement) {
+        if (node.namespaceURI !== W_NS) continue;
+
+        if (node.localName === 'fldSimple' && isBibliographyInstruction(wAttr(node, 'instr'))) {
+            return true;
+        }
+        if (node.localName === 'sdt') {
+            const sdtPr = wChild(node, 'sdtPr');
+            const docPartObj = sdtPr && wChild(sdtPr, 'docPartObj');
+            const galleryType = docPartObj && wChild(docPartObj, 'docPartGallery');
+            if (galleryType && wAttr(galleryType, 'val') === 'Bibliographies') {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Read the list level definitions (number format, start value, level text) of an
+ * abstract numbering or a level override
+ */
+function readListLevel(lvl) {
+    const numFmt = wChild(lvl, 'numFmt');
+    const start = wChild(lvl, 'start');
+    const lvlText = wChild(lvl, 'lvlText');
+    return {
+        format: numFmt ? wAttr(numFmt, 'val') : 'decimal',
+        start: start ? parseInt(wAttr(start, 'val'), 10) || 0 : 1,
+        text: lvlText ? wAttr(lvlText, 'val') : `%${parseInt(wAttr(lvl, 'ilvl'), 10) + 1}.`
+    };
+}
+
+/**
+ * Read word/numbering.xml into the levels of each list (numId)
+ * @returns {Map<string, Map<string, {format: string, start: number, text: string}>>}
+ */
+function readNumbering(numberingDoc) {
+    const lists = new Map();
+    if (!numberingDoc) return lists;
+
+    const abstractLevels = new Map();
+    for (const abstractNum of numberingDoc.getElementsByTagNameNS(W_NS, 'abstractNum')) {
+        const levels = new Map();
+        for (const lvl of abstractNum.getElementsByTagNameNS(W_NS, 'lvl')) {
+            levels.set(wAttr(lvl, 'ilvl'), readListLevel(lvl));
+        }
+        abstractLevels.set(wAttr(abstractNum, 'abstractNumId'), levels);
+    }
+
+    for (const num of numberingDoc.getElementsByTagNameNS(W_NS, 'num')) {
+        const abstractNumId = wChild(num, 'abstractNumId');
+        const levels = new Map(abstractLevels.get(abstractNumId ? wAttr(abstractNumId, 'val') : '') || []);
+
+        for (const override of num.getElementsByTagNameNS(W_NS, 'lvlOverride')) {
+            const ilvl = wAttr(override, 'ilvl');
+            const lvl = wChild(override, 'lvl');
+            const level = lvl ? readListLevel(lvl) : { ...(levels.get(ilvl) || readListLevel(override)) };
+            const startOverride = wChild(override, 'startOverride');
+            if (startOverride) {
+                level.start = parseInt(wAttr(startOverride, 'val'), 10) || 0;
+            }
+            levels.set(ilvl, level);
+        }
+        lists.set(wAttr(num, 'numId'), levels);
+    }
+
+    return lists;
+}
+
+/**
+ * Get the number label of a list paragraph (e.g. "3." or "[3]") and advance the list counters.
+ * Only decimal lists are numbered; bullets and other formats get no label.
+ * @param {Map} counters - Counters per list, updated in place
+ * @returns {string} - Label, or '' if the paragraph is not in a decimal list
+ */
+function nextListLabel(numbering, counters, numId, ilvl) {
+    const levels = numbering.get(numId);
+    const level = levels?.get(ilvl);
+    if (!level) return '';
+
+    if (!counters.has(numId)) counters.set(numId, new Map());
+    const listCounters = counters.get(numId);
+    listCounters.set(ilvl, listCounters.has(ilvl) ? listCounters.get(ilvl) + 1 : level.start);
+
+    // A parent level advancing restarts the deeper levels
+    const depth = parseInt(ilvl, 10);
+    for (const key of [...listCounters.keys()]) {
+        if (parseInt(key, 10) > depth) listCounters.delete(key);
+    }
+
+    if (level.format !== 'decimal') return '';
+
+    let decimal = true;
+    const label = level.text.replace(/%(\d)/g, (match, n) => {
+        const refLevel = String(parseInt(n, 10) - 1);
+        if (levels.get(refLevel)?.format !== 'decimal') decimal = false;
+        return String(listCounters.get(refLevel) ?? levels.get(refLevel)?.start ?? 1);
+    });
+    return decimal ? label : '';
+}
+
+/**
+ * Read all body paragraphs with their text, style and bibliography-field membership.
+ * Complex fields (w:fldChar begin/separate/end) can span paragraphs, so their state
+ * is tracked across the whole document.
+ * Each paragraph is one entry line; numbers of decimal lists are added to the text.
+ * @param {Map} numbering - List definitions (readNumbering)
+ * @returns {Array<{text: string, style: string, inBibliography: boolean}>}
+ */
+function readParagraphs(xmlDoc, numbering = new Map()) {
+    const paragraphs = [];
+    const fieldStack = [];
+    const listCounters = new Map();
+
+    const inBibliographyField = () => fieldStack.some(f => f.isBibliography && f.inResult);
+
+    for (const p of xmlDoc.getElementsByTagNameNS(W_NS, 'p')) {
+        let text = '';
+        let inBibliography = inBibliographyField() || hasBibliographyAncestor(p);
+
+        for (const node of p.getElementsByTagNameNS(W_NS, '*')) {
+            switch (node.localName) {
+                case 't':
+                    text += node.textContent;
+                    if (inBibliographyField()) inBibliography = true;
+                    break;
+                case 'tab':
+                    // w:tab inside w:pPr/w:tabs is a tab stop definition, not a character
+                    if (node.parentElement?.localName !== 'tabs') text += '\t';
+                    break;
+                case 'br':
+                case 'cr':
+                    text += ' ';
+                    break;
+                case 'fldChar': {
+                    const type = wAttr(node, 'fldCharType');
+                    if (type === 'begin') {
+                        fieldStack.push({ instr: '', isBibliography: false, inResult: false });
+                    } else if (type === 'separate' && fieldStack.length) {
+                        const field = fieldStack[fieldStack.length - 1];
+                        field.isBibliography = isBibliographyInstruction(field.instr);
+                        field.inResult = true;
+                    } else if (type === 'end') {
+                        fieldStack.pop();
+                    }
+                    break;
+                }
+                case 'instrText':
+                    if (fieldStack.length) {
+                        fieldStack[fieldStack.length - 1].instr += node.textContent;
+                    }
+                    break;
+            }
+        }
+
+        const pPr = wChild(p, 'pPr');
+        const styleElement = pPr && wChild(pPr, 'pStyle');
+        const style = styleElement ? wAttr(styleElement, 'val') : '';
+
+        // Word list numbering is not part of the text - reconstruct it for decimal lists
+        const numPr = pPr && wChild(pPr, 'numPr');
+        const numId = numPr && wChild(numPr, 'numId');
+        if (numId && wAttr(numId, 'val') !== '0' && text.trim()) {
+            const ilvl = wChild(numPr, 'ilvl');
+            const label = nextListLabel(numbering, listCounters, wAttr(numId, 'val'), ilvl ? wAttr(ilvl, 'val') : '0');
+            if (label) {
+                text = `${label} ${text.trim()}`;
+            }
+        }
+
+        paragraphs.push({
+            text: text.replace(/\s+/g, ' ').trim(),
+            style,
+            inBibliography
+        });
+    }
+
+    return paragraphs;
+}
+
+/**
+ * Select the paragraphs that make up the reference list.
+ * Prefers Word's bibliography field; otherwise finds the references heading and
+ * stops at the next heading-styled paragraph.
+ */
+function selectReferenceParagraphs(paragraphs) {
+    const fromField = paragraphs.filter(p => p.inBibliography && p.text && !isReferenceHeading(p.text));
+    if (fromField.length > 0) {
+        return { entries: fromField, sectionFound: true };
+    }
+
+    const section = findReferenceSection(paragraphs.map(p => p.text));
+    let end = section.end;
+    if (section.found) {
+        for (let i = section.start; i < section.end; i++) {
+            if (HEADING_STYLE.test(paragraphs[i].style) && paragraphs[i].text) {
+                end = i;
+                break;
+            }
+        }
+    }
+
+    return {
+        entries: paragraphs.slice(section.start, end).filter(p => p.text),
+        sectionFound: section.found
+    };
+}
+
+/**
+ * Extract the reference list of a DOCX file (one entry per line)
+ * @param {File|Blob} file - The .docx file
+ * @returns {Promise<{text: string, entryCount: number, sectionFound: boolean}>}
+ */
+export async function extractReferencesFromDOCX(file) {
+    const buffer = await file.arrayBuffer();
+    const documentXml = await readZipEntry(buffer, 'word/document.xml');
+    if (!documentXml) {
+        throw new Error('Not a Word document (word/document.xml missing)');
+    }
+
+    const xmlDoc = new DOMParser().parseFromString(new TextDecoder().decode(documentXml), 'application/xml');
+    if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Could not parse Word document XML');
+    }
+
+    // Without numbering definitions list paragraphs stay unnumbered (still one entry per line)
+    const numberingXml = await readZipEntry(buffer, 'word/numbering.xml');
+    let numberingDoc = null;
+    if (numberingXml) {
+        numberingDoc = new DOMParser().parseFromString(new TextDecoder().decode(numberingXml), 'application/xml');
+        if (numberingDoc.getElementsByTagName('parsererror').length > 0) {
+            numberingDoc = null;
+        }
+    }
+
+    const { entries, sectionFound } = selectReferenceParagraphs(readParagraphs(xmlDoc, readNumbering(numberingDoc)));
+
+    return {
+        text: entries.map(p => p.text).join('\n'),
+        entryCount: entries.length,
+        sectionFound
+    };
+}
@@ -0,0 +1,507 @@
+/**
+ * Citation export service - BibTeX, RIS and CSL-JSON serialization
+ */
+
+import { CITATION_FIELD_LABELS, VERDICT_LABELS } from '../config/constants.js';
+import { getResultCategory } from '../state/extraction-state.js';
+
+/**
+ * Map CrossRef work types to CSL item types
+ */
+const CROSSREF_TYPES = {
+    'journal-article': 'article-journal',
+    'book': 'book',
+    'monograph': 'book',
+    'edited-book': 'book',
+    'reference-book': 'book',
+    'book-chapter': 'chapter',
+    'book-section': 'chapter',
+    'book-part': 'chapter',
+    'proceedings-article': 'paper-conference',
+    'dissertation': 'thesis',
+    'report': 'report',
+    'posted-content': 'article',
+    'dataset': 'dataset'
+};
+
+/**
+ * Map OpenAlex work types to CSL item types
+ */
+const OPENALEX_TYPES = {
+    'article': 'article-journal',
+    'book': 'book',
+    'book-chapter': 'chapter',
+    'dissertation': 'thesis',
+    'report': 'report',
+    'preprint': 'article',
+    'dataset': 'dataset'
+};
+
+/**
+ * Format an overall match score as a percentage string
+ */
+function formatMatchScore(extraction) {
+    const score = extraction.validation?.matchScore?.overall;
+    return typeof score === 'number' ? `${Math.round(score * 100)}%` : 'n/a';
+}
+
+/**
+ * List the fields of an extraction that were corrected by hand, e.g. "Title, Year"
+ * @returns {string} - Empty if the extraction was not corrected
+ */
+export function formatCorrectedFields(extraction) {
+    return Object.keys(extraction.manualCorrections || {})
+        .map(field => CITATION_FIELD_LABELS[field] || field)
+        .join(', ');
+}
+
+/**
+ * Build the validation note attached to every exported entry
+ */
+function buildValidationNote(extraction) {
+    const status = extraction.validationStatus || 'pending';
+    let note = `RefCheck: ${status} (match score ${formatMatchScore(extraction)})`;
+    if (extraction.validationMessage) {
+        note += ` - ${extraction.validationMessage}`;
+    }
+    const corrected = formatCorrectedFields(extraction);
+    if (corrected) {
+        note += `; corrected by hand: ${corrected}`;
+    }
+    const review = extraction.review;
+    if (review) {
+        note += `; reviewer verdict: ${VERDICT_LABELS[review.verdict] || 'none'}`;
+        if (review.note) {
+            note += ` - ${review.note}`;
+        }
+    }
+    return note;
+}
+
+/**
+ * Split "First Middle Last" display names into family/given parts
+ */
+function splitDisplayName(name) {
+    const parts = (name || '').trim().split(/\s+/);
+    return {
+        family: parts.pop() || '',
+        given: parts.join(' ')
+    };
+}
+
+/**
+ * Build a record from CrossRef metadata
+ */
+function recordFromCrossRef(cr) {
+    const pages = cr.page || '';
+    return {
+        type: CROSSREF_TYPES[cr.type] || (cr['container-title']?.[0] ? 'article-journal' : 'document'),
+        title: cr.title?.[0] || '',
+        authors: (cr.author || []).map(a => ({
+            family: a.family || a.name || '',
+            given: a.given || ''
+        })),
+        authorsTruncated: false,
+        year: cr['published-print']?.['date-parts']?.[0]?.[0]
+            || cr.issued?.['date-parts']?.[0]?.[0]
+            || null,
+        containerTitle: cr['container-title']?.[0] || '',
+        volume: cr.volume || '',
+        issue: cr.issue || '',
+        pages: pages,
+        publisher: cr.publisher || '',
+        doi: cr.DOI || '',
+        isbn: cr.ISBN?.[0] || '',
+        issn: cr.ISSN?.[0] || '',
+        url: cr.URL || ''
+    };
+}
+
+/**
+ * Build a record from OpenAlex metadata
+ */
+function recordFromOpenAlex(oa) {
+    const firstPage = oa.biblio?.first_page || '';
+    const lastPage = oa.biblio?.last_page || '';
+    const source = oa.primary_location?.source;
+
+    let type = OPENALEX_TYPES[oa.type] || 'document';
+    if (type === 'article-journal' && source?.type === 'conference') {
+        type = 'paper-conference';
+    }
+
+    return {
+        type,
+        title: oa.title || oa.display_name || '',
+        authors: (oa.authorships || []).map(a => splitDisplayName(a.author?.display_name)),
+        authorsTruncated: false,
+        year: oa.publication_year || null,
+        containerTitle: source?.display_name || '',
+        volume: oa.biblio?.volume || '',
+        issue: oa.biblio?.issue || '',
+        pages: firstPage && lastPage && firstPage !== lastPage ? `${firstPage}-${lastPage}` : firstPage,
+        publisher: source?.host_organization_name || '',
+        doi: oa.doi?.replace('https://doi.org/', '') || '',
+        isbn: '',
+        issn: source?.issn_l || '',
+        url: oa.primary_location?.landing_page_url || ''
+    };
+}
+
+/**
+ * Build a record from the LLM-extracted fields (including manual corrections)
+ */
+function recordFromExtraction(extraction) {
+    const authors = Array.isArray(extraction.authors)
+        ? extraction.authors.map(a => typeof a === 'string'
+            ? { family: a.split(/,\s*/)[0] || '', given: a.split(/,\s*/)[1] || '' }
+            : { family: a.family || '', given: a.given || '' })
+        : [];
+
+    let type = 'document';
+    if (extraction.container_title) {
+        type = 'article-journal';
+    } else if (extraction.isbn) {
+        type = 'book';
+    }
+
+    return {
+        type,
+        title: extraction.title || '',
+        authors,
+        authorsTruncated: !!extraction.authors_truncated,
+        year: extraction.year ? parseInt(extraction.year, 10) || null : null,
+        containerTitle: extraction.container_title || '',
+        volume: extraction.volume ? String(extraction.volume) : '',
+        issue: extraction.issue ? String(extraction.issue) : '',
+        pages: extraction.pages ? String(extraction.pages) : '',
+        publisher: '',
+        doi: extraction.doi || '',
+        isbn: extraction.isbn || '',
+        issn: '',
+        url: ''
+    };
+}
+
+/**
+ * Build a record from the LLM-extracted fields of an extraction
+ */
+export function buildExtractedRecord(extraction) {
+    return recordFromExtraction(extraction);
+}
+
+/**
+ * Build a record from the metadata found during validation (CrossRef preferred)
+ * @returns {Object|null} - Record with a `source` property, or null if nothing was found
+ */
+export function buildFoundRecord(extraction) {
+    const validation = extraction.validation || {};
+    if (validation.crossref) {
+        return { ...recordFromCrossRef(validation.crossref), source: 'crossref' };
+    }
+    if (validation.openalex) {
+        return { ...recordFromOpenAlex(validation.openalex), source: 'openalex' };
+    }
+    return null;
+}
+
+/**
+ * Build a normalized citation record for export.
+ * Uses authoritative CrossRef/OpenAlex metadata for verified citations (including those a
+ * reviewer confirmed as real or miscited) and falls back to the LLM-extracted fields otherwise.
+ * A "fabricated" verdict always exports the extracted fields.
+ * @param {Object} extraction - Processed extraction with validation results
+ * @returns {Object} - Normalized record with a `source` and validation `note`
+ */
+export function buildCitationRecord(extraction) {
+    const validation = extraction.validation || {};
+    const category = getResultCategory(extraction);
+    const useFound = category === 'verified' || category === 'miscited';
+    let record;
+    let source;
+
+    if (useFound && validation.crossref) {
+        record = recordFromCrossRef(validation.crossref);
+        source = 'crossref';
+    } else if (useFound && validation.openalex) {
+        record = recordFromOpenAlex(validation.openalex);
+        source = 'openalex';
+    } else {
+        record = recordFromExtraction(extraction);
+        source = 'extracted';
+    }
+
+    // Identifiers found in the source text are kept if the database record lacks them
+    if (!record.doi && extraction.doi) record.doi = extraction.doi;
+    if (!record.isbn && extraction.isbn) record.isbn = extraction.isbn;
+
+    return {
+        ...record,
+        id: extraction.id,
+        pmid: extraction.pmid ? String(extraction.pmid) : '',
+        pmcid: extraction.pmcid || '',
+        arxiv: extraction.arxiv || '',
+        source,
+        validationStatus: extraction.validationStatus || 'pending',
+        matchScore: validation.matchScore?.overall ?? null,
+        reviewVerdict: extraction.review?.verdict || '',
+        note: buildValidationNote(extraction)
+    };
+}
+
+/**
+ * Get the extractions that can be exported (error placeholders are skipped)
+ */
+function getExportableExtractions(extractions) {
+    return extractions.filter(e => !e.error);
+}
+
+/**
+ * Split a page range into start and end pages
+ */
+function splitPages(pages) {
+    const [start, end] = String(pages).split(/\s*[-–—]+\s*/);
+    return { start: start || '', end: end || '' };
+}
+
+// ================================
+// BibTeX
+// ================================
+
+const BIBTEX_TYPES = {
+    'article-journal': 'article',
+    'article': 'misc',
+    'book': 'book',
+    'chapter': 'incollection',
+    'paper-conference': 'inproceedings',
+    'thesis': 'phdthesis',
+    'report': 'techreport',
+    'dataset': 'misc',
+    'document': 'misc'
+};
+
+/**
+ * Escape characters with special meaning in BibTeX values
+ */
+function escapeBibTeX(value) {
+    const replacements = {
+        '\\': '\\textbackslash{}',
+        '~': '\\textasciitilde{}',
+        '^': '\\textasciicircum{}'
+    };
+    return String(value)
+        .replace(/[\\{}&%$#_~^]/g, ch => replacements[ch] || `\\${ch}`)
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Build an ASCII citation key like "smith2023effect"
+ */
+function buildBibTeXKey(record, usedKeys) {
+    const ascii = str => (str || '').normalize('NFD').replace(/[^A-Za-z0-9]/g, '');
+    const firstWord = (record.title || '').split(/\s+/)
+        .find(w => ascii(w).length > 3 && !/^(the|and|for|with|from|über|eine?)$/i.test(w));
+
+    const base = (ascii(record.authors[0]?.family).toLowerCase() || 'anon')
+        + (record.year || '')
+        + ascii(firstWord).toLowerCase();
+
+    let key = base;
+    for (let n = 0; usedKeys.has(key); n++) {
+        key = base + (n < 26 ? String.fromCharCode(97 + n) : n);
+    }
+    usedKeys.add(key);
+    return key;
+}
+
+/**
+ * Serialize one record to a BibTeX entry
+ */
+function recordToBibTeX(record, key) {
+    const type = BIBTEX_TYPES[record.type] || 'misc';
+    const fields = [];
+    const add = (name, value) => {
+        if (value !== null && value !== undefined && value !== '') {
+            fields.push([name, value]);
+        }
+    };
+
+    if (record.authors.length > 0) {
+        const names = record.authors.map(a => a.given
+            ? `${escapeBibTeX(a.family)}, ${escapeBibTeX(a.given)}`
+            : `{${escapeBibTeX(a.family)}}`);
+        if (record.authorsTruncated) names.push('others');
+        add('author', names.join(' and '));
+    }
+
+    // Double braces keep the title's capitalization intact
+    if (record.title) add('title', `{${escapeBibTeX(record.title)}}`);
+
+    const containerField = {
+        article: 'journal',
+        incollection: 'booktitle',
+        inproceedings: 'booktitle',
+        phdthesis: 'school',
+        techreport: 'institution'
+    }[type] || 'howpublished';
+    add(containerField, record.containerTitle ? escapeBibTeX(record.containerTitle) : '');
+
+    add('year', record.year);
+    add('volume', escapeBibTeX(record.volume));
+    add('number', escapeBibTeX(record.issue));
+    add('pages', record.pages ? escapeBibTeX(record.pages).replace(/\s*[-–—]+\s*/, '--') : '');
+    add('publisher', escapeBibTeX(record.publisher));
+    add('doi', record.doi);
+    add('isbn', escapeBibTeX(record.isbn));
+    add('issn', escapeBibTeX(record.issn));
+    if (record.pmid) add('pmid', record.pmid);
+    if (record.arxiv) {
+        add('eprint', record.arxiv);
+        add('archiveprefix', 'arXiv');
+    }
+    add('url', record.url);
+    add('note', escapeBibTeX(record.note));
+    add('reviewverdict', record.reviewVerdict);
+
+    const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+    return `@${type}{${key},\n${body}\n}`;
+}
+
+/**
+ * Serialize extractions to a BibTeX library
+ * @param {Array<Object>} extractions - Processed extractions
+ * @returns {string}
+ */
+export function exportBibTeX(extractions) {
+    const usedKeys = new Set();
+    return getExportableExtractions(extractions)
+        .map(extraction => {
+            const record = buildCitationRecord(extraction);
+            return recordToBibTeX(record, buildBibTeXKey(record, usedKeys));
+        })
+        .join('\n\n') + '\n';
+}
+
+// ================================
+// RIS
+// ================================
+
+const RIS_TYPES = {
+    'article-journal': 'JOUR',
+    'article': 'JOUR',
+    'book': 'BOOK',
+    'chapter': 'CHAP',
+    'paper-conference': 'CPAPER',
+    'thesis': 'THES',
+    'report': 'RPRT',
+    'dataset': 'DATA',
+    'document': 'GEN'
+};
+
+/**
+ * Serialize one record to RIS tag lines
+ */
+function recordToRIS(record) {
+    const lines = [];
+    const add = (tag, value) => {
+        if (value !== null && value !== undefined && value !== '') {
+            lines.push(`${tag}  - ${String(value).replace(/\s+/g, ' ').trim()}`);
+        }
+    };
+
+    add('TY', RIS_TYPES[record.type] || 'GEN');
+    record.authors.forEach(a => add('AU', a.given ? `${a.family}, ${a.given}` : a.family));
+    add('TI', record.title);
+    add(record.type === 'article-journal' || record.type === 'article' ? 'JO' : 'T2', record.containerTitle);
+    add('PY', record.year);
+    add('VL', record.volume);
+    add('IS', record.issue);
+    if (record.pages) {
+        const { start, end } = splitPages(record.pages);
+        add('SP', start);
+        add('EP', end);
+    }
+    add('PB', record.publisher);
+    add('DO', record.doi);
+    add('SN', record.isbn || record.issn);
+    if (record.pmid) add('AN', `PMID:${record.pmid}`);
+    add('UR', record.url);
+    add('N1', record.note);
+    if (record.reviewVerdict) add('KW', `RefCheck: ${VERDICT_LABELS[record.reviewVerdict]}`);
+    lines.push('ER  - ');
+
+    return lines.join('\r\n');
+}
+
+/**
+ * Serialize extractions to an RIS file
+ * @param {Array<Object>} extractions - Processed extractions
+ * @returns {string}
+ */
+export function exportRIS(extractions) {
+    return getExportableExtractions(extractions)
+        .map(extraction => recordToRIS(buildCitationRecord(extraction)))
+        .join('\r\n\r\n') + '\r\n';
+}
+
+// ================================
+// CSL-JSON
+// ================================
+
+/**
+ * Convert a citation record to a CSL-JSON item
+ */
+function recordToCSL(record) {
+    const item = {
+        id: record.id,
+        type: record.type
+    };
+    const add = (name, value) => {
+        if (value !== null && value !== undefined && value !== '') {
+            item[name] = value;
+        }
+    };
+
+    add('title', record.title);
+    if (record.authors.length > 0) {
+        item.author = record.authors.map(a => a.given
+            ? { family: a.family, given: a.given }
+            : { literal: a.family });
+    }
+    if (record.year) item.issued = { 'date-parts': [[record.year]] };
+    add('container-title', record.containerTitle);
+    add('volume', record.volume);
+    add('issue', record.issue);
+    add('page', record.pages);
+    add('publisher', record.publisher);
+    add('DOI', record.doi);
+    add('ISBN', record.isbn);
+    add('ISSN', record.issn);
+    add('PMID', record.pmid);
+    add('PMCID', record.pmcid);
+    add('URL', record.url);
+    add('note', record.note);
+    if (record.reviewVerdict) item.custom = { reviewVerdict: record.reviewVerdict };
+
+    return item;
+}
+
+/**
+ * Build CSL-JSON items for extractions
+ * @param {Array<Object>} extractions - Processed extractions
+ * @returns {Array<Object>} - CSL-JSON items
+ */
+export function buildCSLItems(extractions) {
+    return getExportableExtractions(extractions)
+        .map(extraction => recordToCSL(buildCitationRecord(extraction)));
+}
+
+/**
+ * Serialize extractions to a CSL-JSON array
+ * @param {Array<Object>} extractions - Processed extractions
+ * @returns {string}
+ */
+export function exportCSLJSON(extractions) {
+    return JSON.stringify(buildCSLItems(extractions), null, 2) + '\n';
+}
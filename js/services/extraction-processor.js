@@ -3,7 +3,7 @@
  */
 
 import { extractCitationsFromWindow } from '../api/llm-client.js';
-import { validateCitation } from './validation.js';
+import { validateCitation, rescoreCitation } from './validation.js';
 import {
     processExtraction,
     extractionsOverlap,
@@ -11,9 +11,21 @@ import {
     deduplicateExtractions,
     buildLineExtractionMap,
     addExtraction,
-    createErrorExtraction
+    createErrorExtraction,
+    validateLineSpan,
+    locateExtraction,
+    markExtractionCancelled,
+    applyManualCorrection,
+    removeExtraction,
+    reserveExtractionIndices,
+    waitWhilePaused
 } from '../state/extraction-state.js';
-import { RateLimiter, createValidationRateLimiter } from '../utils/rate-limiter.js';
+import { RateLimiter, configureHostRateLimits, configureHostRateLimiter } from '../utils/rate-limiter.js';
+import { scanIdentifiers, applyScannedIdentifiers } from './identifier-scan.js';
+import { parseBibliography, crossCheckExtraction } from './heuristic-parser.js';
+import { validateAgainstSchema } from '../utils/schema.js';
+import { EXTRACTION_SCHEMA } from '../config/schema.js';
+import { configureRetryPolicy } from '../utils/retry.js';
 
 /**
  * Merge two incomplete extractions using master/slave approach.
@@ -84,14 +96,128 @@ function mergeExtractions(master, slave) {
         endExtraction.authors_truncated = true;
     }
 
+    // Keep schema errors from both halves
+    if (startExtraction.schemaErrors) {
+        endExtraction.schemaErrors = [...(endExtraction.schemaErrors || []), ...startExtraction.schemaErrors];
+    }
+
+    // Line and source spans run from the beginning of the citation to its continuation
+    if (endExtraction.start_line && startExtraction.end_line) {
+        endExtraction.end_line = Math.max(endExtraction.end_line, startExtraction.end_line);
+    } else {
+        delete endExtraction.start_line;
+        delete endExtraction.end_line;
+    }
+    if (endExtraction.sourceSpan && startExtraction.sourceSpan) {
+        endExtraction.sourceSpan = {
+            start: Math.min(endExtraction.sourceSpan.start, startExtraction.sourceSpan.start),
+            end: Math.max(endExtraction.sourceSpan.end, startExtraction.sourceSpan.end)
+        };
+    } else {
+        delete endExtraction.sourceSpan;
+    }
+
     return endExtraction;
 }
 
+/**
+ * Validate a raw LLM extraction against the extraction schema.
+ * Invalid fields are dropped and recorded in `schemaErrors` so they show up on the card;
+ * a non-object item is kept as an entry whose raw_text is the item itself.
+ * @returns {Object} - Raw extraction safe to pass to processExtraction
+ */
+function applyExtractionSchema(rawExtraction) {
+    const { value, errors } = validateAgainstSchema(rawExtraction, EXTRACTION_SCHEMA);
+    const extraction = value ?? {
+        complete: true,
+        raw_text: typeof rawExtraction === 'string' ? rawExtraction : JSON.stringify(rawExtraction)
+    };
+    if (errors.length > 0) {
+        extraction.schemaErrors = errors;
+    }
+    return extraction;
+}
+
+/**
+ * Assign rule-based parsed entries to the first window containing their start
+ * @returns {Array<Array<Object>>} - Raw extractions per window
+ */
+function assignParsedEntriesToWindows(parsedEntries, windows) {
+    const perWindow = windows.map(() => []);
+    for (const entry of parsedEntries) {
+        const windowIndex = windows.findIndex(w => entry.start >= w.start && entry.start < w.end);
+        if (windowIndex >= 0) {
+            perWindow[windowIndex].push(entry.extraction);
+        }
+    }
+    return perWindow;
+}
+
+/**
+ * Rate limit settings the host limiters were last configured with
+ */
+let configuredLimits = null;
+
+/**
+ * Configure the per-host request limits and the retry policy from settings.
+ * The LLM endpoint runs sequentially (maxConcurrent=1), CrossRef/OpenAlex each get their own
+ * limiter. Limits adapt to the servers' responses, so the limiters are only replaced
+ * when the rate limit settings change.
+ */
+function configureRequests(settings, onRetry = null) {
+    const limits = JSON.stringify([settings.maxValidationRPM, settings.llmEndpoint, settings.maxLLMRPM]);
+    if (limits !== configuredLimits) {
+        configureHostRateLimits({ maxConcurrent: 10, requestsPerMinute: settings.maxValidationRPM || 50 });
+        if (settings.llmEndpoint) {
+            configureHostRateLimiter(settings.llmEndpoint, {
+                maxConcurrent: 1,
+                requestsPerMinute: settings.maxLLMRPM || 15
+            });
+        }
+        configuredLimits = limits;
+    }
+    configureRetryPolicy({ maxAttempts: settings.maxRetryAttempts || 4, onRetry });
+}
+
+/**
+ * Check whether two source spans overlap
+ */
+function spansOverlap(a, b) {
+    return !!(a && b && a.start < b.end && b.start < a.end);
+}
+
 /**
  * Process all windows and extract citations
- * LLM calls run sequentially with rate limiting, validation runs in parallel
+ * LLM calls run sequentially with per-host rate limiting, validation runs in parallel.
+ * Windows already extracted with the same prompt and model are served from the LLM response cache.
+ * With settings.extractionMethod 'heuristic' the rule-based parser replaces the LLM;
+ * with 'crosscheck' LLM extractions are compared against the rule-based parse.
+ * Cancelling (cancelProcessing) aborts in-flight requests; extractions found so far are kept,
+ * unvalidated ones marked as cancelled, and the windows not processed are listed in
+ * state.unprocessedWindows.
+ * Pausing (pauseProcessing) holds back the next window and queued validations; the run,
+ * including incomplete entries waiting for their continuation, resumes where it stopped.
+ * After every window and validation a checkpoint is reported (onCheckpoint); passing it back
+ * as options.resume continues the run from there, e.g. after a reload. Extractions already in
+ * state are kept, cancelled and unfinished validations are redone.
  */
 export async function processAllWindows(options) {
+    const { state } = options;
+    state.abortController = new AbortController();
+    try {
+        return await processWindows(options, state.abortController.signal);
+    } finally {
+        // Also after a failure - the retry callback reports into this run's progress
+        configureRetryPolicy({ onRetry: null });
+        state.abortController = null;
+    }
+}
+
+/**
+ * Process the windows of a run (see processAllWindows)
+ * @param {AbortSignal} signal - Aborted when the run is cancelled
+ */
+async function processWindows(options, signal) {
     const {
         state,
         settings,
@@ -99,44 +225,108 @@ export async function processAllWindows(options) {
         onProgress,
         onExtractionComplete,
         onError,
-        onWindowStart
+        onWindowStart,
+        onPause,
+        onCheckpoint,
+        resume = null
     } = options;
 
     const totalWindows = state.currentWindows.length;
 
-    // LLM limiter: sequential (maxConcurrent=1) with RPM limit
-    const llmLimiter = new RateLimiter({
-        maxConcurrent: 1,
-        requestsPerMinute: settings.maxLLMRPM || 15
+    // Validation tasks run in parallel; their requests are throttled by the host limiters
+    const validationLimiter = new RateLimiter({ maxConcurrent: 10 });
+
+    // Retries of rate-limited / failed requests are counted and shown in the progress details
+    let retryCount = 0;
+    let progressMessage = '';
+    const formatRetries = () => `${retryCount} ${retryCount === 1 ? 'retry' : 'retries'}`;
+
+    function reportProgress(message) {
+        progressMessage = message;
+        onProgress?.(retryCount > 0 ? `${message} (${formatRetries()})` : message);
+    }
+
+    configureRequests(settings, ({ label, attempt, maxAttempts, status, delayMs }) => {
+        retryCount++;
+        onProgress?.(`${progressMessage} - ${label} returned ${status}, ` +
+            `retry ${attempt}/${maxAttempts - 1} in ${Math.ceil(delayMs / 1000)}s (${formatRetries()})`);
     });
 
-    const validationLimiter = createValidationRateLimiter(settings.maxValidationRPM || 50);
+    // Deterministic identifier scan - these override identifiers returned by the LLM
+    const scannedIdentifiers = scanIdentifiers(fullText);
+
+    // Rule-based parse, used instead of the LLM or to cross-check it
+    const extractionMethod = settings.extractionMethod || 'llm';
+    const parsedEntries = extractionMethod !== 'llm' ? parseBibliography(fullText) : [];
+    const parsedPerWindow = extractionMethod === 'heuristic'
+        ? assignParsedEntriesToWindows(parsedEntries, state.currentWindows)
+        : null;
 
-    let extractionIndex = 0;
+    let extractionIndex = resume?.extractionIndex ?? 0;
     const pendingValidations = []; // Track ongoing validation promises
 
     // Track incomplete extractions with position="end" waiting for their continuation
-    let pendingIncompleteEnd = [];
+    let pendingIncompleteEnd = resume ? [...resume.pendingIncompleteEnd] : [];
+
+    // Index of the first window not (fully) processed
+    let nextWindow = resume?.nextWindow ?? 0;
+
+    // Windows whose extraction came from the LLM response cache
+    let cachedWindows = 0;
+
+    // Per-window status ('pending', 'done' or 'error') and citations whose validation is not finished
+    const windowStatus = resume ? [...resume.windowStatus] : state.currentWindows.map(() => 'pending');
+    const unvalidated = new Map();
+
+    /**
+     * Report the current position of the run, enough to resume it later
+     */
+    function emitCheckpoint() {
+        onCheckpoint?.({
+            nextWindow,
+            extractionIndex,
+            pendingIncompleteEnd: pendingIncompleteEnd.map(e => ({ ...e })),
+            unvalidated: [...unvalidated.values()],
+            windowStatus: [...windowStatus]
+        });
+    }
 
     /**
      * Start validation for a finalized citation (non-blocking)
      * Note: buildLineExtractionMap is called only once at the end for performance
      */
     function startValidation(citation) {
-        const promise = validationLimiter.schedule(async () => {
-            if (state.shouldCancel) return;
-
-            if (citation.complete === false) {
-                citation.validationStatus = 'incomplete';
-                citation.validationMessage = citation.reason || 'Entry incomplete';
-            } else {
-                await validateCitation(citation, settings.userEmail);
-            }
+        applyScannedIdentifiers(citation, scannedIdentifiers);
+        if (extractionMethod === 'crosscheck') {
+            crossCheckExtraction(citation, parsedEntries);
+        }
 
+        const complete = () => {
+            unvalidated.delete(citation.id);
             addExtraction(state, citation);
             // Don't rebuild line map here - it's O(n*m) and called once at the end
             onExtractionComplete?.(citation);
-        });
+            emitCheckpoint();
+        };
+
+        if (citation.complete === false) {
+            citation.validationStatus = 'incomplete';
+            citation.validationMessage = citation.reason || 'Entry incomplete';
+            complete();
+            return;
+        }
+
+        unvalidated.set(citation.id, citation);
+        const promise = validationLimiter.schedule(async () => {
+            await waitWhilePaused(state);
+            return validateCitation(citation, settings.userEmail, signal);
+        }, signal)
+            .catch(error => {
+                // Cancelled while queued or during lookups: keep the extraction without a verdict
+                if (!signal.aborted) throw error;
+                markExtractionCancelled(citation);
+            })
+            .finally(complete);
         pendingValidations.push(promise);
     }
 
@@ -158,25 +348,59 @@ export async function processAllWindows(options) {
         return -1;
     }
 
+    if (resume) {
+        // Incomplete entries finalized when the run was cancelled wait for their continuation again
+        for (const pending of pendingIncompleteEnd) {
+            removeExtraction(state, pending.id);
+        }
+        // Validations that were cancelled or still running when the run stopped
+        const cancelled = state.extractions.filter(e => e.cancelled);
+        for (const citation of cancelled) {
+            removeExtraction(state, citation.id);
+        }
+        const revalidate = [
+            ...cancelled,
+            ...resume.unvalidated.filter(c => !state.extractions.some(e => e.id === c.id))
+        ];
+        for (const citation of revalidate) {
+            delete citation.cancelled;
+            startValidation(citation);
+        }
+    }
+
     // Process windows sequentially with rate limiting
-    for (let i = 0; i < totalWindows; i++) {
+    for (let i = nextWindow; i < totalWindows; i++) {
+        if (state.isPaused) {
+            onPause?.(i, totalWindows);
+            await waitWhilePaused(state);
+        }
         if (state.shouldCancel) break;
 
         const win = state.currentWindows[i];
         const isLastWindow = (i === totalWindows - 1);
 
         onWindowStart?.(i, totalWindows);
-        onProgress?.(`Window ${i + 1}/${totalWindows}: Extracting...`);
+        reportProgress(`Window ${i + 1}/${totalWindows}: ${parsedPerWindow ? 'Parsing' : 'Extracting'}...`);
 
         let citations = [];
         let error = null;
 
         try {
-            citations = await llmLimiter.schedule(() => extractCitationsFromWindow(settings, win));
+            if (parsedPerWindow) {
+                citations = parsedPerWindow[i];
+            } else {
+                const result = await extractCitationsFromWindow(settings, win, signal);
+                citations = result.citations;
+                if (result.fromCache) cachedWindows++;
+            }
         } catch (e) {
             error = e;
         }
 
+        // Cancelled during the LLM call: this window stays unprocessed
+        if (signal.aborted) break;
+        nextWindow = i + 1;
+
         if (error) {
             console.error(`Error processing window ${i + 1}:`, error);
 
@@ -186,11 +410,13 @@ export async function processAllWindows(options) {
             }
             pendingIncompleteEnd = [];
 
-            const errorExtraction = createErrorExtraction(extractionIndex, i + 1, error.message);
+            const errorExtraction = createErrorExtraction(extractionIndex, i + 1, error.message, error.rawResponses);
             addExtraction(state, errorExtraction);
             // Don't rebuild line map here - it's O(n*m) and called once at the end
             onError?.(i + 1, error.message, errorExtraction);
             extractionIndex++;
+            windowStatus[i] = 'error';
+            emitCheckpoint();
             continue;
         }
 
@@ -198,10 +424,10 @@ export async function processAllWindows(options) {
         const newIncompleteEnd = [];
 
         for (let j = 0; j < citations.length; j++) {
-            if (state.shouldCancel) break;
-
-            const citation = citations[j];
+            const citation = parsedPerWindow ? citations[j] : applyExtractionSchema(citations[j]);
             const processed = processExtraction(citation, extractionIndex, i + 1);
+            validateLineSpan(processed, win);
+            locateExtraction(processed, win);
 
             // Case 1: This is an incomplete "start" extraction - try to match with pending "end"
             if (processed.complete === false && processed.position === 'start') {
@@ -260,18 +486,24 @@ export async function processAllWindows(options) {
 
         // Replace pending with new candidates for next window
         pendingIncompleteEnd = newIncompleteEnd;
+        windowStatus[i] = 'done';
+        emitCheckpoint();
     }
 
-    // Handle remaining pending extractions (last window's incomplete "end" extractions)
-    if (!state.shouldCancel) {
-        for (const pending of pendingIncompleteEnd) {
-            startValidation(pending);
-        }
+    // Handle remaining pending extractions (last window's incomplete "end" extractions,
+    // or the last processed window's when cancelled - a resumed run picks those up again)
+    for (const pending of pendingIncompleteEnd) {
+        startValidation(pending);
     }
+    if (nextWindow >= totalWindows) {
+        pendingIncompleteEnd = [];
+    }
+
+    state.unprocessedWindows = state.currentWindows.slice(nextWindow);
 
     // Wait for all pending validations to complete
     if (pendingValidations.length > 0) {
-        onProgress?.(`Finishing ${pendingValidations.length} validations...`);
+        reportProgress(`Finishing ${pendingValidations.length} validations...`);
         await Promise.allSettled(pendingValidations);
     }
 
@@ -285,6 +517,148 @@ export async function processAllWindows(options) {
 
     return {
         totalExtractions: state.extractions.length,
-        cancelled: state.shouldCancel
+        retries: retryCount,
+        cachedWindows,
+        cancelled: state.shouldCancel,
+        unprocessedWindows: state.unprocessedWindows
+    };
+}
+
+/**
+ * Run validation again for a single extraction (updated in place)
+ * @param {Object} extraction - Extraction from state
+ * @param {Object} settings - Current settings
+ */
+export async function revalidateExtraction(extraction, settings) {
+    configureRequests(settings);
+    delete extraction.cancelled;
+    await validateCitation(extraction, settings.userEmail);
+    return extraction;
+}
+
+/**
+ * Apply a manual correction to an extraction and update its verdict.
+ * The extraction is re-scored against the record already fetched for it; a new lookup runs
+ * if an identifier changed or no record was found before.
+ * @param {Object} extraction - Extraction to correct (modified in place)
+ * @param {Object} changes - New field values (see applyManualCorrection)
+ * @param {Object} settings - Current settings
+ * @returns {Promise<Array<string>>} - Names of the fields that changed
+ */
+export async function correctExtraction(extraction, changes, settings) {
+    const changed = applyManualCorrection(extraction, changes);
+    if (changed.length === 0 || extraction.complete === false) return changed;
+
+    const identifierChanged = changed.includes('doi') || changed.includes('pmid');
+    if (identifierChanged || !rescoreCitation(extraction)) {
+        // The LLM's search query was built from the uncorrected fields
+        delete extraction.query_bibliographic;
+        await revalidateExtraction(extraction, settings);
+    }
+    return changed;
+}
+
+/**
+ * Extract and validate a single window again, bypassing the LLM response cache, and replace
+ * the extractions of that window in state (including an error extraction).
+ * Cut entries are merged with the unmatched other half in the neighbouring window, if any;
+ * cut entries already covered by a merged or neighbouring extraction are not duplicated.
+ * @param {Object} options
+ * @param {Object} options.state - Extraction state
+ * @param {Object} options.settings - Current settings
+ * @param {string} options.fullText - Full input text
+ * @param {Array<Object>} options.windows - Windows of the run
+ * @param {number} options.windowIndex - Window to re-extract (1-based)
+ * @returns {Promise<{added: Array<Object>, nextIndex: number}>} - New and merged extractions still in
+ *   state after deduplication, and the next free extraction index
+ * @throws {Error} - If the extraction fails; state is left unchanged
+ */
+export async function reextractWindow({ state, settings, fullText, windows, windowIndex }) {
+    const win = windows[windowIndex - 1];
+    if (!win) throw new Error(`Window ${windowIndex} not found`);
+
+    configureRequests(settings);
+
+    const extractionMethod = settings.extractionMethod || 'llm';
+    const parsedEntries = extractionMethod !== 'llm' ? parseBibliography(fullText) : [];
+    const rawCitations = extractionMethod === 'heuristic'
+        ? assignParsedEntriesToWindows(parsedEntries, windows)[windowIndex - 1]
+        : (await extractCitationsFromWindow({ ...settings, forceReextract: true }, win)).citations;
+
+    const scannedIdentifiers = scanIdentifiers(fullText);
+    const previous = state.extractions.filter(e => e.windowIndex === windowIndex);
+    const others = state.extractions.filter(e => e.windowIndex !== windowIndex);
+    const kept = [];
+    const added = [];
+    const merged = [];
+    const absorbed = [];
+    let nextIndex = reserveExtractionIndices(state, rawCitations.length);
+
+    for (const rawCitation of rawCitations) {
+        const citation = extractionMethod === 'heuristic' ? rawCitation : applyExtractionSchema(rawCitation);
+        const processed = processExtraction(citation, nextIndex, windowIndex);
+        validateLineSpan(processed, win);
+        locateExtraction(processed, win);
+
+        // Continuation of an unmatched "end" extraction of the previous window
+        if (processed.complete === false && processed.position === 'start') {
+            const pendingEnd = others.find(e => e.windowIndex === windowIndex - 1 && !merged.includes(e) &&
+                extractionsOverlap(e, processed));
+            if (pendingEnd) {
+                mergeExtractions(pendingEnd, processed);
+                merged.push(pendingEnd);
+                continue;
+            }
+        }
+
+        // Beginning of an unmatched "start" extraction of the next window
+        if (processed.complete === false && processed.position === 'end') {
+            const orphanStart = others.find(e => e.windowIndex === windowIndex + 1 && !absorbed.includes(e) &&
+                extractionsOverlap(processed, e));
+            if (orphanStart) {
+                mergeExtractions(processed, orphanStart);
+                absorbed.push(orphanStart);
+            }
+        }
+
+        if (processed.complete === false) {
+            const covering = [...others, ...previous].find(e =>
+                e.complete !== false && !e.error && spansOverlap(e.sourceSpan, processed.sourceSpan));
+            if (covering) {
+                if (previous.includes(covering) && !kept.includes(covering)) kept.push(covering);
+                continue;
+            }
+        }
+
+        applyScannedIdentifiers(processed, scannedIdentifiers);
+        if (extractionMethod === 'crosscheck') {
+            crossCheckExtraction(processed, parsedEntries);
+        }
+        added.push(processed);
+        nextIndex++;
+    }
+
+    const validationLimiter = new RateLimiter({ maxConcurrent: 10 });
+    await Promise.all([...added, ...merged].map(citation => {
+        if (citation.complete === false) {
+            citation.validationStatus = 'incomplete';
+            citation.validationMessage = citation.reason || 'Entry incomplete';
+            return null;
+        }
+        return validationLimiter.schedule(() => validateCitation(citation, settings.userEmail));
+    }));
+
+    for (const extraction of [...previous, ...absorbed]) {
+        if (!kept.includes(extraction)) removeExtraction(state, extraction.id);
+    }
+    for (const citation of added) {
+        addExtraction(state, citation);
+    }
+    deduplicateExtractions(state);
+    buildLineExtractionMap(state, fullText);
+
+    return {
+        added: [...added, ...merged].filter(citation => state.extractionMap.has(citation.id)),
+        nextIndex
     };
 }
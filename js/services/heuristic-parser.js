@@ -0,0 +1,347 @@
+/**
+ * Heuristic citation parser - rule-based extraction without an LLM
+ * Handles the common styles: numbered Vancouver, APA/Harvard author-year,
+ * IEEE (bracketed, quoted titles) and Chicago notes-bibliography.
+ * Produces the same raw extraction objects the LLM returns.
+ */
+
+import { scanIdentifiers } from './identifier-scan.js';
+import { stripQuotes } from '../utils/text.js';
+import { stringSimilarity } from '../utils/similarity.js';
+
+/**
+ * Entry numbering at the start of an entry: "[12]", "12.", "12)"
+ */
+const ENTRY_NUMBER = /^\s*(?:\[\d{1,3}\]|\d{1,3}[.)])\s+/;
+
+/**
+ * Publication year, optionally with a disambiguation letter ("2020a")
+ */
+const YEAR = /\b(1[89]\d{2}|20\d{2})[a-z]?\b/;
+
+/**
+ * Start of trailing identifier/access information that is not part of the bibliographic data
+ */
+const TRAILER = /\s*(?:\bdoi\s*:|https?:\/\/|\bPMID\b|\bPMCID\b|\bPubMed\b|\bISBN\b|\barXiv\s*:|\bAvailable (?:from|at)\b|\bRetrieved from\b|\[Internet\]|\bAccessed\b|\[cited\b)/i;
+
+/**
+ * Check whether a token consists of initials only ("J.", "A. B.", "AB", "J.-P.")
+ */
+function isInitials(token) {
+    const t = token.trim();
+    return /^(?:[A-ZÀ-Ý]\.?[\s-]*){1,4}$/.test(t) && (t.length <= 3 || /\./.test(t));
+}
+
+/**
+ * Split a text into entries with their character offsets.
+ * Uses the same entry boundary detection as the entry-aware windowing.
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+export function splitEntries(text) {
+    return window.Windowing.detectEntryBoundaries(text).map(entry => ({
+        ...entry,
+        text: text.slice(entry.start, entry.end)
+    }));
+}
+
+/**
+ * Parse an author list in any of the supported styles
+ * @returns {{authors: Array<{family: string, given: string}>, truncated: boolean}}
+ */
+export function parseAuthors(authorText) {
+    // Keep the period of a trailing initial ("Lee, C.")
+    let text = (authorText || '').trim().replace(/[,;:\s]+$/, '').replace(/([^A-Z\s.])\.$/, '$1');
+    let truncated = false;
+
+    if (/\bet\s*al\b\.?/i.test(text)) {
+        truncated = true;
+        text = text.replace(/,?\s*\bet\s*al\b\.?.*$/i, '');
+    }
+    // Editors markers do not belong to names
+    text = text.replace(/\(\s*(?:eds?|hrsg|hg)\.?\s*\)/gi, '').trim();
+
+    const tokens = text
+        .replace(/\s*;\s*/g, ',')
+        .replace(/\s*&\s*/g, ',')
+        .replace(/\s+(?:and|und)\s+/gi, ',')
+        .split(',')
+        .map(t => t.trim())
+        .filter(Boolean);
+
+    const authors = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const next = tokens[i + 1];
+        const words = token.split(/\s+/);
+
+        if (words.length === 1 && !isInitials(token)) {
+            // Single family name, possibly followed by its given name(s) ("Smith, J." / "Smith, John")
+            const nextIsGiven = next && (isInitials(next) || (i === 0 && next.split(/\s+/).length === 1));
+            if (nextIsGiven) {
+                authors.push({ family: token, given: next });
+                i++;
+            } else {
+                authors.push({ family: token, given: '' });
+            }
+            continue;
+        }
+
+        const last = words[words.length - 1];
+        if (words.length > 1 && isInitials(last) && !isInitials(words[0])) {
+            // Vancouver: "Smith JA", "van der Berg A"
+            authors.push({ family: words.slice(0, -1).join(' '), given: last });
+        } else if (words.length > 1) {
+            // Natural order: "A. B. Smith", "Jane Doe"
+            authors.push({ family: last, given: words.slice(0, -1).join(' ') });
+        }
+    }
+
+    return { authors, truncated };
+}
+
+/**
+ * Find the end of the first sentence (". ", "? ", "! ") that is not an initial or abbreviation
+ */
+function findSentenceEnd(text) {
+    const regex = /[.?!](?=\s+\S|\s*$)/g;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        const before = text.slice(0, match.index);
+        const lastWord = before.split(/\s+/).pop();
+        // Skip initials and common abbreviations inside titles
+        if (match[0] === '.' && (/^[A-Z]$/.test(lastWord) || /^(?:vs|no|vol|ed|eds|e\.g|i\.e|st|dr|inc)$/i.test(lastWord))) {
+            continue;
+        }
+        return match.index;
+    }
+    return -1;
+}
+
+/**
+ * Parse the source part (container, volume, issue, pages) of an entry
+ */
+function parseSource(sourceText, result) {
+    let text = sourceText.trim().replace(/^(?:In\s*:?\s+)/i, '');
+
+    // Vancouver: "2020;5(3):1-10" / "2020 Jan;5(3):1-10"
+    const vancouver = text.match(/(?:\b(?:1[89]|20)\d{2}[^;:]*)?;\s*(\d+)\s*(?:\(([^)]+)\))?\s*(?::\s*([\dA-Za-z]+(?:\s*[-–]\s*[\dA-Za-z]+)?))?/);
+    const volumeIssue = text.match(/\b(\d+)\s*\((?!(?:1[89]|20)\d{2}\))([^)]+)\)/);
+    const vol = text.match(/\bvol(?:ume)?\.?\s*(\d+)/i);
+    const issue = text.match(/\b(?:no|nr|issue|iss)\.?\s*(\d+)/i);
+    const pages = text.match(/\bpp?\.\s*(\d+\s*[-–]\s*\d+|\d+)/i)
+        || text.match(/:\s*(\d+\s*[-–]\s*\d+)/)
+        || text.match(/,\s*(\d+\s*[-–]\s*\d+)\s*\.?\s*$/);
+
+    if (vancouver) {
+        result.volume = vancouver[1];
+        if (vancouver[2]) result.issue = vancouver[2];
+        if (vancouver[3]) result.pages = vancouver[3].replace(/\s+/g, '');
+    } else {
+        if (vol) result.volume = vol[1];
+        else if (volumeIssue) result.volume = volumeIssue[1];
+        if (issue) result.issue = issue[1];
+        else if (volumeIssue) result.issue = volumeIssue[2];
+        // Volume directly after the container: "Journal 12, no. 3" (Chicago), "Journal, 12, 1-10" (APA)
+        if (!result.volume) {
+            const afterContainer = text.match(/^[^\d]+?[\s,]((?!(?:1[89]|20)\d{2}\b)\d+)\s*,/);
+            if (afterContainer) result.volume = afterContainer[1];
+        }
+    }
+    if (!result.pages && pages) {
+        result.pages = pages[1].replace(/\s+/g, '');
+    }
+
+    // Container title: text before the first number/volume/page marker
+    const container = text
+        .split(/\s*(?:,\s*)?(?:\bvol\.|\bno\.|\bpp?\.|\b(?:1[89]|20)\d{2}\b|;|\(\d|\s\d+\s*[,(:]|\s\d+\s*$)/i)[0]
+        .replace(/^[.,:;\s]+|[.,:;\s]+$/g, '');
+    if (container && container.length > 1 && !/^\d+$/.test(container)) {
+        result.container_title = stripQuotes(container);
+    }
+}
+
+/**
+ * Build a bibliographic query from parsed fields (same shape the prompt asks the LLM for)
+ */
+function buildQuery(result) {
+    const titleWords = (result.title || '').split(/\s+/).filter(w => w.length > 3).slice(0, 6).join(' ');
+    return [result.authors?.[0]?.family, result.year, titleWords, result.container_title]
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * Parse a single bibliography entry
+ * @param {string} entryText - Entry text (numbering is stripped)
+ * @returns {Object} - Raw extraction in the LLM output format
+ */
+export function parseEntry(entryText) {
+    const raw = entryText.replace(/\s+/g, ' ').trim();
+    const result = { complete: true, raw_text: entryText.trim() };
+
+    // Identifiers via the deterministic scanner
+    for (const id of scanIdentifiers(raw)) {
+        if ((id.type === 'doi' || id.type === 'pmid' || id.type === 'isbn') && !result[id.type]) {
+            result[id.type] = id.value;
+        }
+    }
+
+    let body = raw.replace(ENTRY_NUMBER, '');
+    const trailer = body.search(TRAILER);
+    if (trailer > 0) body = body.slice(0, trailer);
+
+    let authorText = '';
+    let rest = '';
+
+    const quoted = body.match(/["“„«]([^"”“»]+)["”“»]/);
+    const parenYear = body.match(/\(\s*((?:1[89]|20)\d{2})[a-z]?(?:,[^)]*)?\s*\)/);
+
+    if (quoted && quoted.index > 0) {
+        // IEEE / Chicago: Authors, "Title," Container ...
+        authorText = body.slice(0, quoted.index);
+        result.title = quoted[1].replace(/[.,;:\s]+$/, '');
+        rest = body.slice(quoted.index + quoted[0].length);
+    } else if (parenYear && parenYear.index > 0 && parenYear.index < body.length * 0.6) {
+        // APA / Harvard: Authors (2020). Title. Container ...
+        authorText = body.slice(0, parenYear.index);
+        result.year = parseInt(parenYear[1], 10);
+        const afterYear = body.slice(parenYear.index + parenYear[0].length).replace(/^[\s.,:]+/, '');
+        const titleEnd = findSentenceEnd(afterYear);
+        result.title = titleEnd >= 0 ? afterYear.slice(0, titleEnd) : afterYear;
+        rest = titleEnd >= 0 ? afterYear.slice(titleEnd + 1) : '';
+    } else {
+        // Vancouver / Chicago without quotes: Authors. Title. Container ...
+        const authorEnd = findAuthorEnd(body);
+        authorText = authorEnd >= 0 ? body.slice(0, authorEnd) : '';
+        const afterAuthors = authorEnd >= 0 ? body.slice(authorEnd + 1).trim() : body;
+        const titleEnd = findSentenceEnd(afterAuthors);
+        result.title = titleEnd >= 0 ? afterAuthors.slice(0, titleEnd) : afterAuthors;
+        rest = titleEnd >= 0 ? afterAuthors.slice(titleEnd + 1) : '';
+    }
+
+    const { authors, truncated } = parseAuthors(authorText);
+    if (authors.length > 0) result.authors = authors;
+    if (truncated) result.authors_truncated = true;
+
+    if (!result.year) {
+        const year = rest.match(YEAR) || body.match(YEAR);
+        if (year) result.year = parseInt(year[1], 10);
+    }
+
+    if (result.title) {
+        result.title = stripQuotes(result.title.trim().replace(/[.,;:\s]+$/, ''));
+        if (!result.title) delete result.title;
+    }
+
+    if (rest.trim()) {
+        parseSource(rest, result);
+    }
+
+    result.query_bibliographic = buildQuery(result);
+    return result;
+}
+
+/**
+ * Find the end of the author list in "Authors. Title." entries.
+ * Periods after initials ("Smith J.", "J. Smith") do not end the list.
+ */
+function findAuthorEnd(text) {
+    const regex = /\.(?=\s+\S)/g;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        const lastWord = text.slice(0, match.index).split(/[\s,]+/).pop();
+        if (/^[A-ZÀ-Ý](?:-[A-Z])?$/.test(lastWord)) {
+            // "J." - an initial. It ends the list only if followed by a title (not another name)
+            const following = text.slice(match.index + 1).trim();
+            if (/^[A-ZÀ-Ý]\.|^[A-ZÀ-Ý][a-zà-ÿ'-]+\s*(?:,|&|and\s)|^(?:and|&)\s/.test(following)) continue;
+        }
+        return match.index;
+    }
+    return -1;
+}
+
+/**
+ * Parse a whole bibliography into raw extractions with their text offsets and line spans
+ * @param {string} text - Bibliography text
+ * @returns {Array<{extraction: Object, start: number, end: number}>}
+ */
+export function parseBibliography(text) {
+    let line = 1;
+    let lineCountedTo = 0;
+    const lineAt = (pos) => {
+        line += (text.slice(lineCountedTo, pos).match(/\r\n|\r|\n/g) || []).length;
+        lineCountedTo = pos;
+        return line;
+    };
+
+    return splitEntries(text).map(entry => {
+        const extraction = parseEntry(entry.text);
+        extraction.start_line = lineAt(entry.start);
+        extraction.end_line = lineAt(entry.end);
+        return { extraction, start: entry.start, end: entry.end };
+    });
+}
+
+/**
+ * Normalize a simple field value for comparison ("123–145" vs "123-145")
+ */
+function normalizeField(value) {
+    return String(value ?? '').trim().toLowerCase().replace(/[–—]/g, '-').replace(/\s+/g, '');
+}
+
+/**
+ * Reduce text to lowercase words for similarity comparison
+ */
+function normalizeWords(value) {
+    return String(value ?? '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Fields compared between the LLM extraction and the rule-based parse
+ */
+const CROSS_CHECK_FIELDS = [
+    { field: 'year', get: e => e.year, same: (a, b) => normalizeField(a) === normalizeField(b) },
+    { field: 'authors', get: e => e.authors?.[0]?.family, same: (a, b) => normalizeWords(a) === normalizeWords(b) },
+    { field: 'title', get: e => e.title, same: (a, b) => stringSimilarity(normalizeWords(a), normalizeWords(b)) >= 0.7 },
+    { field: 'volume', get: e => e.volume, same: (a, b) => normalizeField(a) === normalizeField(b) },
+    { field: 'issue', get: e => e.issue, same: (a, b) => normalizeField(a) === normalizeField(b) },
+    { field: 'pages', get: e => e.pages, same: (a, b) => normalizeField(a) === normalizeField(b) }
+];
+
+/**
+ * Cross-check an LLM extraction against the rule-based parse of the same entry.
+ * Sets `extraction.crossCheck` to {differences: [{field, extracted, parsed}]}, or leaves it
+ * unset if the entry could not be matched to a parsed entry by its source span.
+ * @param {Object} extraction - Processed, located extraction (modified in place)
+ * @param {Array} parsedEntries - Result of parseBibliography()
+ */
+export function crossCheckExtraction(extraction, parsedEntries) {
+    if (extraction.error || extraction.complete === false || parsedEntries.length === 0) return;
+
+    const span = extraction.sourceSpan;
+    if (!span) return;
+
+    // The parsed entry with the largest overlap
+    let best = null;
+    let bestOverlap = 0;
+    for (const entry of parsedEntries) {
+        const overlap = Math.min(span.end, entry.end) - Math.max(span.start, entry.start);
+        if (overlap > bestOverlap) {
+            best = entry;
+            bestOverlap = overlap;
+        }
+    }
+    if (!best) return;
+
+    const differences = [];
+    for (const { field, get, same } of CROSS_CHECK_FIELDS) {
+        const extracted = get(extraction);
+        const parsed = get(best.extraction);
+        if (!extracted || !parsed) continue;
+        if (!same(String(extracted), String(parsed))) {
+            differences.push({ field, extracted: String(extracted), parsed: String(parsed) });
+        }
+    }
+
+    extraction.crossCheck = { differences };
+}
@@ -0,0 +1,156 @@
+/**
+ * Identifier scanner - deterministic regex pre-scan for DOIs, PMIDs, PMCIDs, arXiv IDs and ISBNs
+ * Scanned identifiers are attached to extractions by text position and take precedence over
+ * the identifiers returned by the LLM.
+ */
+
+/**
+ * Identifier patterns. The value is taken from capture group 1.
+ */
+const IDENTIFIER_PATTERNS = {
+    doi: /\b(10\.\d{4,9}\/[^\s"<>]+)/g,
+    pmid: /\b(?:PMID|PubMed(?:\s+ID)?)\s*:?\s*(\d{1,8})\b/gi,
+    pmcid: /\b(PMC\d{5,8})\b/g,
+    arxiv: /(?:\barXiv\s*:\s*|arxiv\.org\/(?:abs|pdf)\/)((?:\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(?:v\d+)?)/gi,
+    isbn: /\bISBN(?:-1[03])?\s*:?\s*((?:97[89][-\s]?)?\d{1,5}[-\s]?\d{1,7}[-\s]?\d{1,7}[-\s]?[\dXx])\b/gi
+};
+
+/**
+ * Fields on the extraction that each identifier type maps to
+ */
+const IDENTIFIER_FIELDS = {
+    doi: 'doi',
+    pmid: 'pmid',
+    pmcid: 'pmcid',
+    arxiv: 'arxiv',
+    isbn: 'isbn'
+};
+
+/**
+ * Remove punctuation that belongs to the surrounding sentence, not the DOI
+ */
+function trimDOI(doi) {
+    let result = doi.replace(/[.,;:'"\]>]+$/, '');
+    // Strip unbalanced closing parentheses, e.g. "(doi:10.1000/xyz)"
+    while (result.endsWith(')') &&
+           (result.match(/\(/g) || []).length < (result.match(/\)/g) || []).length) {
+        result = result.slice(0, -1).replace(/[.,;:]+$/, '');
+    }
+    return result;
+}
+
+/**
+ * Validate an ISBN-10 or ISBN-13 check digit
+ */
+function isValidISBN(isbn) {
+    const digits = isbn.replace(/[-\s]/g, '').toUpperCase();
+
+    if (digits.length === 10) {
+        let sum = 0;
+        for (let i = 0; i < 10; i++) {
+            const value = digits[i] === 'X' ? 10 : parseInt(digits[i], 10);
+            if (isNaN(value) || (digits[i] === 'X' && i !== 9)) return false;
+            sum += value * (10 - i);
+        }
+        return sum % 11 === 0;
+    }
+
+    if (digits.length === 13 && /^\d+$/.test(digits)) {
+        let sum = 0;
+        for (let i = 0; i < 13; i++) {
+            sum += parseInt(digits[i], 10) * (i % 2 === 0 ? 1 : 3);
+        }
+        return sum % 10 === 0;
+    }
+
+    return false;
+}
+
+/**
+ * Normalize an identifier for comparison
+ */
+export function normalizeIdentifier(type, value) {
+    const str = String(value || '').trim();
+    switch (type) {
+        case 'doi':
+            return str.toLowerCase().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/, '');
+        case 'isbn':
+            return str.replace(/[-\s]/g, '').toUpperCase();
+        case 'pmcid':
+            return str.toUpperCase();
+        case 'arxiv':
+            return str.toLowerCase().replace(/^arxiv:\s*/, '').replace(/v\d+$/, '');
+        default:
+            return str;
+    }
+}
+
+/**
+ * Scan text for identifiers
+ * @param {string} text - Full bibliography text
+ * @returns {Array<{type: string, value: string, start: number, end: number}>} - Sorted by offset
+ */
+export function scanIdentifiers(text) {
+    if (!text) return [];
+
+    const found = [];
+
+    for (const [type, pattern] of Object.entries(IDENTIFIER_PATTERNS)) {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            let value = match[1];
+            if (type === 'doi') value = trimDOI(value);
+            if (type === 'isbn' && !isValidISBN(value)) continue;
+
+            const start = match.index + match[0].indexOf(match[1]);
+            found.push({ type, value, start, end: start + value.length });
+        }
+    }
+
+    return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Attach scanned identifiers to an extraction and override the LLM's identifiers.
+ * Identifiers inside the extraction's source span win over LLM output; disagreements
+ * are recorded in `identifierMismatches` so they can be flagged.
+ * @param {Object} extraction - Processed, located extraction (modified in place)
+ * @param {Array} identifiers - Result of scanIdentifiers()
+ */
+export function applyScannedIdentifiers(extraction, identifiers) {
+    if (extraction.error || identifiers.length === 0) return;
+
+    const span = extraction.sourceSpan;
+    if (!span) return;
+
+    const inSpan = identifiers.filter(id => id.start >= span.start && id.end <= span.end);
+    extraction.scannedIdentifiers = inSpan.map(({ type, value, start }) => ({ type, value, offset: start }));
+    if (inSpan.length === 0) return;
+
+    const mismatches = [];
+
+    for (const [type, field] of Object.entries(IDENTIFIER_FIELDS)) {
+        const scanned = inSpan.filter(id => id.type === type);
+        if (scanned.length === 0) continue;
+
+        const llmValue = extraction[field];
+        const llmNormalized = normalizeIdentifier(type, llmValue);
+
+        // Keep the LLM's value if it agrees with any scanned identifier of that type
+        const agreeing = scanned.find(id => normalizeIdentifier(type, id.value) === llmNormalized);
+        if (agreeing) {
+            extraction[field] = agreeing.value;
+            continue;
+        }
+
+        if (llmValue) {
+            mismatches.push({ type, extracted: String(llmValue), scanned: scanned[0].value });
+        }
+        extraction[field] = scanned[0].value;
+    }
+
+    if (mismatches.length > 0) {
+        extraction.identifierMismatches = mismatches;
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * PDF import service - extracts the reference section from a PDF in the browser
+ * pdf.js is loaded lazily from the CDN on first use
+ */
+
+import { PDFJS_MODULE_URL, PDFJS_WORKER_URL } from '../config/constants.js';
+import { findReferenceSection, startsWithEntryNumber, joinLines } from '../utils/reference-section.js';
+
+let pdfjsPromise = null;
+
+/**
+ * Load pdf.js once and configure its worker
+ */
+function loadPdfJs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import(PDFJS_MODULE_URL).then(pdfjs => {
+            pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+            return pdfjs;
+        }).catch(error => {
+            pdfjsPromise = null;
+            throw new Error(`Could not load PDF reader: ${error.message}`);
+        });
+    }
+    return pdfjsPromise;
+}
+
+/**
+ * Group the text items of one page into visual lines
+ * @returns {Array<{text: string, x: number, y: number, height: number, page: number}>}
+ */
+function groupItemsIntoLines(items, pageNumber) {
+    const lines = [];
+    let current = null;
+
+    const closeLine = () => {
+        if (current && current.text.trim()) {
+            current.text = current.text.replace(/\s+/g, ' ').trim();
+            lines.push(current);
+        }
+        current = null;
+    };
+
+    for (const item of items) {
+        const x = item.transform[4];
+        const y = item.transform[5];
+        const height = item.height || Math.abs(item.transform[3]) || 10;
+
+        // A jump in baseline starts a new line even without an explicit EOL marker
+        if (current && item.str && Math.abs(y - current.y) > current.height * 0.5) {
+            closeLine();
+        }
+
+        if (item.str) {
+            if (!current) {
+                current = { text: '', x, y, height, page: pageNumber };
+            }
+            current.text += item.str;
+        }
+
+        if (item.hasEOL) {
+            closeLine();
+        }
+    }
+    closeLine();
+
+    return lines;
+}
+
+/**
+ * Drop running headers/footers and bare page numbers.
+ * A line is treated as running header/footer if it repeats on more than half of the pages.
+ */
+function removePageFurniture(lines, pageCount) {
+    const normalize = text => text.replace(/\d+/g, '#').toLowerCase();
+    const pagesPerLine = new Map();
+
+    for (const line of lines) {
+        const key = normalize(line.text);
+        if (!pagesPerLine.has(key)) pagesPerLine.set(key, new Set());
+        pagesPerLine.get(key).add(line.page);
+    }
+
+    return lines.filter(line => {
+        if (/^\d{1,4}$/.test(line.text)) return false;
+        if (pageCount >= 3 && pagesPerLine.get(normalize(line.text)).size > pageCount / 2) return false;
+        return true;
+    });
+}
+
+/**
+ * Median of an array of numbers (0 for an empty array)
+ */
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Re-flow the lines of a reference section into one string per entry.
+ * A line starts a new entry if it
+ * - starts with an entry number ("[3]", "3.", "3)"),
+ * - follows a vertical gap noticeably larger than the normal line spacing, or
+ * - sits at the left margin while continuation lines are indented (hanging indent)
+ */
+function reflowEntries(lines) {
+    if (lines.length === 0) return [];
+
+    const gaps = [];
+    for (let i = 1; i < lines.length; i++) {
+        if (lines[i].page === lines[i - 1].page) {
+            gaps.push(lines[i - 1].y - lines[i].y);
+        }
+    }
+    const lineGap = median(gaps.filter(g => g > 0));
+
+    // Detect a hanging indent: two distinct left margins, the smaller one being entry starts.
+    // Numbered lists are split by their numbers instead, since they often indent the number.
+    const leftMargin = Math.min(...lines.map(l => l.x));
+    const indentedCount = lines.filter(l => l.x - leftMargin > 8).length;
+    const isNumbered = lines.some(l => startsWithEntryNumber(l.text));
+    const hasHangingIndent = !isNumbered && indentedCount >= lines.length * 0.2 && indentedCount > 0;
+
+    const entries = [];
+    let current = '';
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const prev = lines[i - 1];
+        let newEntry = i === 0 || startsWithEntryNumber(line.text);
+
+        if (!newEntry && prev.page === line.page && lineGap > 0) {
+            newEntry = (prev.y - line.y) > lineGap * 1.4;
+        }
+        if (!newEntry && hasHangingIndent) {
+            newEntry = line.x - leftMargin <= 8;
+        }
+
+        if (newEntry) {
+            if (current) entries.push(current);
+            current = line.text;
+        } else {
+            current = joinLines(current, line.text);
+        }
+    }
+    if (current) entries.push(current);
+
+    return entries;
+}
+
+/**
+ * Extract the reference section of a PDF file as re-flowed text (one entry per line)
+ * @param {File|Blob} file - The PDF file
+ * @param {Function} onProgress - Called with (pageNumber, pageCount)
+ * @returns {Promise<{text: string, entryCount: number, sectionFound: boolean}>}
+ */
+export async function extractReferencesFromPDF(file, onProgress) {
+    const pdfjs = await loadPdfJs();
+    const data = new Uint8Array(await file.arrayBuffer());
+    const doc = await pdfjs.getDocument({ data }).promise;
+    const pageCount = doc.numPages;
+
+    let lines = [];
+    try {
+        for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+            onProgress?.(pageNumber, pageCount);
+            const page = await doc.getPage(pageNumber);
+            const content = await page.getTextContent();
+            lines.push(...groupItemsIntoLines(content.items, pageNumber));
+        }
+    } finally {
+        doc.destroy();
+    }
+
+    lines = removePageFurniture(lines, pageCount);
+
+    const section = findReferenceSection(lines.map(l => l.text));
+    const entries = reflowEntries(lines.slice(section.start, section.end));
+
+    return {
+        text: entries.join('\n'),
+        entryCount: entries.length,
+        sectionFound: section.found
+    };
+}
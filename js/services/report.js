@@ -0,0 +1,423 @@
+/**
+ * Verification report service - builds a standalone, printable HTML report of a run
+ */
+
+import {
+    STATUS_LABELS,
+    MATCH_FIELD_LABELS,
+    CITATION_FIELD_LABELS,
+    VERDICT_LABELS,
+    CATEGORY_LABELS,
+    CATEGORY_COLORS
+} from '../config/constants.js';
+import { escapeHTML } from '../utils/text.js';
+import { renderPieSVG } from '../components/stats-pie.js';
+import { getResultCategory } from '../state/extraction-state.js';
+import { buildExtractedRecord, buildFoundRecord, formatCorrectedFields } from './export.js';
+
+/**
+ * Status colors used in the report
+ */
+const STATUS_COLORS = {
+    valid: '#059669',
+    suspicious: '#d97706',
+    mismatch: '#dc2626',
+    invalid: '#b91c1c',
+    incomplete: '#94a3b8',
+    error: '#7f1d1d'
+};
+
+/**
+ * Reviewer verdict colors used in the report
+ */
+const VERDICT_COLORS = {
+    real: '#059669',
+    miscited: '#7c3aed',
+    fabricated: '#7f1d1d',
+    undetermined: '#64748b'
+};
+
+/**
+ * Statuses that need a side-by-side comparison in the report
+ */
+const FLAGGED_STATUSES = ['suspicious', 'mismatch', 'invalid'];
+
+/**
+ * Reviewer verdicts that flag an entry regardless of its automated status
+ */
+const FLAGGED_VERDICTS = ['miscited', 'fabricated'];
+
+const REPORT_STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #1e293b; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; font-size: 13px; line-height: 1.5; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.1rem; margin-top: 2rem; border-bottom: 2px solid #e2e8f0; padding-bottom: 0.25rem; }
+    h3 { font-size: 0.95rem; margin: 0 0 0.5rem; }
+    .meta { color: #64748b; font-size: 0.85rem; }
+    .summary { display: flex; gap: 2rem; align-items: center; }
+    .summary svg { width: 140px; height: 140px; }
+    table { border-collapse: collapse; width: 100%; margin-top: 0.5rem; }
+    th, td { border: 1px solid #e2e8f0; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f8fafc; font-weight: 600; }
+    .status { display: inline-block; padding: 0.05rem 0.45rem; border-radius: 4px; color: white; font-size: 0.75rem; font-weight: 600; white-space: nowrap; }
+    .dot { display: inline-block; width: 0.7rem; height: 0.7rem; border-radius: 50%; margin-right: 0.35rem; vertical-align: middle; }
+    .field-score { display: inline-block; margin: 0 0.3rem 0.15rem 0; font-size: 0.75rem; white-space: nowrap; }
+    .field-score.good { color: #047857; }
+    .field-score.warn { color: #b45309; }
+    .field-score.bad { color: #b91c1c; }
+    .entry { border: 1px solid #e2e8f0; border-radius: 6px; padding: 0.75rem; margin-top: 1rem; page-break-inside: avoid; }
+    .raw { font-family: Monaco, Menlo, monospace; font-size: 0.75rem; background: #f8fafc; padding: 0.5rem; border-radius: 4px; white-space: pre-wrap; word-break: break-word; }
+    .differs { background: #fef3c7; }
+    .corrected { display: inline-block; padding: 0.05rem 0.35rem; border-radius: 4px; background: #e0e7ff; color: #4338ca; font-size: 0.7rem; font-weight: 600; white-space: nowrap; }
+    pre.input { font-family: Monaco, Menlo, monospace; font-size: 0.7rem; white-space: pre-wrap; word-break: break-word; border: 1px solid #e2e8f0; padding: 0.75rem; }
+    @media print {
+        body { margin: 0; max-width: none; }
+        h2 { page-break-after: avoid; }
+        tr { page-break-inside: avoid; }
+    }
+`;
+
+/**
+ * Escape any value for HTML output
+ */
+function esc(value) {
+    if (value === null || value === undefined) return '';
+    return escapeHTML(String(value));
+}
+
+/**
+ * Get the report status key of an extraction
+ */
+function getStatusKey(extraction) {
+    if (extraction.error) return 'error';
+    return extraction.validationStatus || 'pending';
+}
+
+/**
+ * Render a colored status badge
+ */
+function renderStatusBadge(extraction) {
+    const key = getStatusKey(extraction);
+    const label = key === 'error' ? 'Error' : (STATUS_LABELS[key] || 'Pending');
+    return `<span class="status" style="background: ${STATUS_COLORS[key] || '#64748b'}">${esc(label)}</span>`;
+}
+
+/**
+ * Render the reviewer verdict badge of an entry (empty if not reviewed)
+ */
+function renderVerdictBadge(extraction) {
+    const verdict = extraction.review?.verdict;
+    if (!verdict) return '';
+    const note = extraction.review.note ? ` title="${esc(extraction.review.note)}"` : '';
+    return `<span class="status" style="background: ${VERDICT_COLORS[verdict] || '#64748b'}"${note}>${esc(VERDICT_LABELS[verdict] || verdict)}</span>`;
+}
+
+/**
+ * Render the marker of an entry corrected by hand
+ */
+function renderCorrectedBadge(extraction) {
+    const corrected = formatCorrectedFields(extraction);
+    return corrected ? ` <span class="corrected" title="Corrected by hand: ${esc(corrected)}">Corrected</span>` : '';
+}
+
+/**
+ * Format the overall match score as a percentage
+ */
+function formatScore(extraction) {
+    const score = extraction.validation?.matchScore?.overall;
+    return typeof score === 'number' ? `${Math.round(score * 100)}%` : '–';
+}
+
+/**
+ * Render the per-field match score breakdown
+ */
+function renderFieldScores(extraction) {
+    const fields = extraction.validation?.matchScore?.fields;
+    if (!fields || Object.keys(fields).length === 0) return '–';
+
+    return Object.entries(fields).map(([field, score]) => {
+        const scoreClass = score >= 0.7 ? 'good' : score >= 0.4 ? 'warn' : 'bad';
+        return `<span class="field-score ${scoreClass}">${esc(MATCH_FIELD_LABELS[field] || field)}: ${Math.round(score * 100)}%</span>`;
+    }).join('');
+}
+
+/**
+ * Format an author list of a record for display
+ */
+function formatAuthors(record) {
+    const names = record.authors.map(a => [a.family, a.given].filter(Boolean).join(', '));
+    return names.join('; ') + (record.authorsTruncated ? ' et al.' : '');
+}
+
+/**
+ * Short citation label: "Smith et al. (2023) Title"
+ */
+function formatShortCitation(extraction) {
+    if (extraction.error) {
+        return `Window ${extraction.windowIndex} could not be processed: ${extraction.errorMessage || 'unknown error'}`;
+    }
+
+    const record = buildExtractedRecord(extraction);
+    const firstAuthor = record.authors[0]?.family;
+    const authorPart = firstAuthor
+        ? `${firstAuthor}${record.authors.length > 1 || record.authorsTruncated ? ' et al.' : ''}`
+        : '';
+    const yearPart = record.year ? ` (${record.year})` : '';
+    const title = record.title || extraction.raw_text?.substring(0, 120) || 'Unknown citation';
+
+    return `${authorPart}${yearPart}${authorPart || yearPart ? ' – ' : ''}${title}`;
+}
+
+/**
+ * Render the table of reviewer verdict counts
+ */
+function renderVerdictCounts(verdicts, total) {
+    const rows = Object.keys(VERDICT_LABELS)
+        .filter(key => verdicts[key])
+        .map(key => `
+            <tr>
+                <td><span class="dot" style="background: ${VERDICT_COLORS[key]}"></span>${esc(VERDICT_LABELS[key])}</td>
+                <td>${verdicts[key]}</td>
+                <td>${Math.round((verdicts[key] / total) * 100)}%</td>
+            </tr>
+        `).join('');
+
+    return `
+        <table>
+            <tr><th>Reviewer verdict</th><th>Entries</th><th>Share</th></tr>
+            ${rows}
+        </table>
+    `;
+}
+
+/**
+ * Render the summary section with pie chart, status and verdict counts.
+ * The pie counts reviewer verdicts where given, the status table the automated statuses.
+ */
+function renderSummary(extractions) {
+    const counts = {};
+    for (const extraction of extractions) {
+        const key = getStatusKey(extraction);
+        counts[key] = (counts[key] || 0) + 1;
+    }
+
+    const categories = { verified: 0, miscited: 0, fabricated: 0, unverified: 0 };
+    const verdicts = {};
+    for (const extraction of extractions) {
+        categories[getResultCategory(extraction)]++;
+        const verdict = extraction.review?.verdict;
+        if (verdict) {
+            verdicts[verdict] = (verdicts[verdict] || 0) + 1;
+        }
+    }
+
+    const verified = categories.verified;
+    const pie = renderPieSVG(Object.keys(categories).map(key => ({
+        key,
+        count: categories[key],
+        color: CATEGORY_COLORS[key]
+    })));
+    const reviewed = Object.values(verdicts).reduce((sum, n) => sum + n, 0);
+    const reviewedText = [
+        categories.miscited ? `${categories.miscited} ${CATEGORY_LABELS.miscited.toLowerCase()}` : '',
+        categories.fabricated ? `${categories.fabricated} ${CATEGORY_LABELS.fabricated.toLowerCase()}` : ''
+    ].filter(Boolean).join(', ');
+
+    const rows = Object.keys(STATUS_COLORS)
+        .filter(key => counts[key])
+        .map(key => `
+            <tr>
+                <td><span class="dot" style="background: ${STATUS_COLORS[key]}"></span>${esc(key === 'error' ? 'Error' : STATUS_LABELS[key])}</td>
+                <td>${counts[key]}</td>
+                <td>${Math.round((counts[key] / extractions.length) * 100)}%</td>
+            </tr>
+        `).join('');
+
+    return `
+        <h2>Summary</h2>
+        <div class="summary">
+            ${pie}
+            <div>
+                <p><strong>${verified}</strong> of <strong>${extractions.length}</strong> entries verified, <strong>${categories.unverified}</strong> unverified${reviewedText ? `, ${esc(reviewedText)}` : ''}.</p>
+                <table>
+                    <tr><th>Automated status</th><th>Entries</th><th>Share</th></tr>
+                    ${rows}
+                </table>
+                ${reviewed > 0 ? renderVerdictCounts(verdicts, extractions.length) : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render the table of all extractions
+ */
+function renderExtractionTable(extractions) {
+    const rows = extractions.map((extraction, i) => `
+        <tr>
+            <td>${i + 1}</td>
+            <td>${esc(formatShortCitation(extraction))}${renderCorrectedBadge(extraction)}</td>
+            <td>${renderStatusBadge(extraction)}</td>
+            <td>${renderVerdictBadge(extraction) || '–'}</td>
+            <td>${formatScore(extraction)}</td>
+            <td>${renderFieldScores(extraction)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <h2>All entries</h2>
+        <table>
+            <tr><th>#</th><th>Citation</th><th>Status</th><th>Verdict</th><th>Match</th><th>Field scores</th></tr>
+            ${rows}
+        </table>
+    `;
+}
+
+/**
+ * Render a side-by-side comparison of extracted and found metadata
+ */
+function renderComparison(extraction) {
+    const extracted = buildExtractedRecord(extraction);
+    const found = buildFoundRecord(extraction);
+
+    const fields = [
+        ['Title', r => r.title],
+        ['Authors', formatAuthors],
+        ['Year', r => r.year],
+        ['Journal/Book', r => r.containerTitle],
+        ['Volume', r => r.volume],
+        ['Issue', r => r.issue],
+        ['Pages', r => r.pages],
+        ['DOI', r => r.doi]
+    ];
+
+    const sourceLabel = found ? (found.source === 'crossref' ? 'CrossRef' : 'OpenAlex') : 'Database';
+    const rows = fields.map(([label, get]) => {
+        const extractedValue = String(get(extracted) ?? '');
+        const foundValue = found ? String(get(found) ?? '') : '';
+        const differs = found && extractedValue && foundValue &&
+            extractedValue.trim().toLowerCase() !== foundValue.trim().toLowerCase();
+        return `
+            <tr${differs ? ' class="differs"' : ''}>
+                <th>${label}</th>
+                <td>${esc(extractedValue) || '–'}</td>
+                <td>${found ? esc(foundValue) || '–' : ''}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <table>
+            <tr><th></th><th>As cited${extraction.manualCorrections ? ' (with corrections)' : ''}</th><th>Found in ${sourceLabel}</th></tr>
+            ${found ? rows : rows + '<tr><td colspan="3"><em>No matching record was found in CrossRef or OpenAlex.</em></td></tr>'}
+        </table>
+    `;
+}
+
+/**
+ * Render detail sections for flagged entries
+ */
+function renderFlaggedDetails(extractions) {
+    const flagged = extractions
+        .map((extraction, i) => ({ extraction, number: i + 1 }))
+        .filter(({ extraction }) => !extraction.error && (
+            FLAGGED_STATUSES.includes(extraction.validationStatus) ||
+            FLAGGED_VERDICTS.includes(extraction.review?.verdict)
+        ));
+
+    if (flagged.length === 0) return '';
+
+    const sections = flagged.map(({ extraction, number }) => `
+        <div class="entry">
+            <h3>#${number} ${renderStatusBadge(extraction)} ${renderVerdictBadge(extraction)} ${esc(formatShortCitation(extraction))}${renderCorrectedBadge(extraction)}</h3>
+            <p class="meta">${esc(extraction.validationMessage)}${formatScore(extraction) !== '–' ? ` · Match score ${formatScore(extraction)}` : ''}</p>
+            ${extraction.review?.note ? `<p><strong>Reviewer note:</strong> ${esc(extraction.review.note)}</p>` : ''}
+            ${extraction.raw_text ? `<div class="raw">${esc(extraction.raw_text)}</div>` : ''}
+            ${renderComparison(extraction)}
+            <p>${renderFieldScores(extraction)}</p>
+        </div>
+    `).join('');
+
+    return `
+        <h2>Flagged entries (${flagged.length})</h2>
+        <p class="meta">Entries marked as needing review, mismatching or unverified, or judged miscited or fabricated by the reviewer, with the metadata as cited next to the closest record found. Differing fields are highlighted.</p>
+        ${sections}
+    `;
+}
+
+/**
+ * Format a field value as extracted, before its correction
+ */
+function formatOriginalValue(field, value) {
+    if (value === null || value === undefined) return '';
+    if (field === 'authors') return formatAuthors({ authors: value });
+    if (field === 'authors_truncated') return value ? 'yes' : 'no';
+    return String(value);
+}
+
+/**
+ * Render the table of fields corrected by hand, next to the extracted values they replace
+ */
+function renderCorrections(extractions) {
+    const rows = [];
+    extractions.forEach((extraction, i) => {
+        for (const [field, correction] of Object.entries(extraction.manualCorrections || {})) {
+            rows.push(`
+                <tr>
+                    <td>${i + 1}</td>
+                    <td>${esc(CITATION_FIELD_LABELS[field] || field)}</td>
+                    <td>${esc(formatOriginalValue(field, correction.original)) || '–'}</td>
+                    <td>${esc(formatOriginalValue(field, extraction[field])) || '–'}</td>
+                </tr>
+            `);
+        }
+    });
+
+    if (rows.length === 0) return '';
+
+    return `
+        <h2>Manual corrections</h2>
+        <p class="meta">Fields corrected by a reviewer after extraction. Match scores and statuses are computed from the corrected values.</p>
+        <table>
+            <tr><th>#</th><th>Field</th><th>Extracted</th><th>Corrected</th></tr>
+            ${rows.join('')}
+        </table>
+    `;
+}
+
+/**
+ * Build a standalone HTML verification report
+ * @param {Object} options
+ * @param {Array<Object>} options.extractions - Extractions in text order
+ * @param {string} options.inputText - The original bibliography text
+ * @param {Object} options.settings - Settings used for the run (API key is never included)
+ * @returns {string} - Complete HTML document
+ */
+export function buildReportHTML({ extractions, inputText, settings }) {
+    const generated = new Date().toLocaleString();
+    let model = settings?.llmModel ? `${settings.llmModel} (${settings.llmProvider})` : 'unknown';
+    if (settings?.extractionMethod === 'heuristic') {
+        model = 'rule-based parser';
+    } else if (settings?.extractionMethod === 'crosscheck') {
+        model += ', cross-checked with rule-based parser';
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>RefCheck verification report</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>RefCheck verification report</h1>
+<p class="meta">Generated ${esc(generated)} · Extraction model: ${esc(model)} · Validated against CrossRef and OpenAlex</p>
+${renderSummary(extractions)}
+${renderExtractionTable(extractions)}
+${renderFlaggedDetails(extractions)}
+${renderCorrections(extractions)}
+<h2>Original text</h2>
+<pre class="input">${esc(inputText)}</pre>
+</body>
+</html>
+`;
+}
@@ -257,16 +257,17 @@ function getValidationStatus(matchScore, lookupMethod) {
 /**
  * Validate a citation against CrossRef and OpenAlex
  * Runs lookups in parallel where possible for speed
+ * @param {AbortSignal} signal - Optional; aborting cancels the lookups and rejects
  */
-export async function validateCitation(citation, userEmail = '') {
+export async function validateCitation(citation, userEmail = '', signal = null) {
     citation.validation = {};
 
     // Step 1: Try DOI lookup first if available - run CrossRef and OpenAlex in parallel
     if (citation.doi) {
         try {
             const [crossRefResult, openAlexResult] = await Promise.all([
-                crossref.lookupDOI(citation.doi, userEmail).catch(() => null),
-                openalex.lookupDOI(citation.doi, userEmail).catch(() => null)
+                crossref.lookupDOI(citation.doi, userEmail, signal).catch(() => null),
+                openalex.lookupDOI(citation.doi, userEmail, signal).catch(() => null)
             ]);
 
             if (crossRefResult) {
@@ -276,8 +277,9 @@ export async function validateCitation(citation, userEmail = '') {
                 const normalized = normalizeCrossRef(crossRefResult);
                 const matchScore = computeMatchScore(citation, normalized);
                 citation.validation.matchScore = matchScore;
+                citation.validation.method = 'DOI verified via CrossRef';
 
-                const { status, message } = getValidationStatus(matchScore, 'DOI verified via CrossRef');
+                const { status, message } = getValidationStatus(matchScore, citation.validation.method);
                 citation.validationStatus = status;
                 citation.validationMessage = message;
 
@@ -295,8 +297,9 @@ export async function validateCitation(citation, userEmail = '') {
                 const normalized = normalizeOpenAlex(openAlexResult);
                 const matchScore = computeMatchScore(citation, normalized);
                 citation.validation.matchScore = matchScore;
+                citation.validation.method = 'DOI verified via OpenAlex';
 
-                const { status, message } = getValidationStatus(matchScore, 'DOI verified via OpenAlex');
+                const { status, message } = getValidationStatus(matchScore, citation.validation.method);
                 citation.validationStatus = status;
                 citation.validationMessage = message;
                 return;
@@ -309,7 +312,7 @@ export async function validateCitation(citation, userEmail = '') {
     // Step 2: Try PMID lookup if available
     if (citation.pmid) {
         try {
-            const openAlexResult = await openalex.lookupPMID(citation.pmid, userEmail);
+            const openAlexResult = await openalex.lookupPMID(citation.pmid, userEmail, signal);
             if (openAlexResult) {
                 citation.validation.openalex = openAlexResult;
 
@@ -317,8 +320,9 @@ export async function validateCitation(citation, userEmail = '') {
                 const normalized = normalizeOpenAlex(openAlexResult);
                 const matchScore = computeMatchScore(citation, normalized);
                 citation.validation.matchScore = matchScore;
+                citation.validation.method = 'PMID verified via OpenAlex';
 
-                const { status, message } = getValidationStatus(matchScore, 'PMID verified via OpenAlex');
+                const { status, message } = getValidationStatus(matchScore, citation.validation.method);
                 citation.validationStatus = status;
                 citation.validationMessage = message;
                 return;
@@ -332,33 +336,57 @@ export async function validateCitation(citation, userEmail = '') {
     if (citation.query_bibliographic || citation.raw_text) {
         try {
             const query = citation.query_bibliographic || buildBibliographicQuery(citation);
-            const crossRefResults = await crossref.searchBibliographic(query, userEmail);
+            const crossRefResults = await crossref.searchBibliographic(query, userEmail, signal);
 
             if (crossRefResults && crossRefResults.length > 0) {
                 const match = findBestMatch(citation, crossRefResults);
                 if (match) {
                     citation.validation.crossref = match.result;
                     citation.validation.matchScore = match.score;
+                    citation.validation.method = 'Matched via bibliographic search';
 
-                    const { status, message } = getValidationStatus(
-                        match.score,
-                        'Matched via bibliographic search'
-                    );
+                    const { status, message } = getValidationStatus(match.score, citation.validation.method);
                     citation.validationStatus = status;
                     citation.validationMessage = message;
                     return;
                 }
             }
         } catch (e) {
-            console.error('Bibliographic search failed:', e);
+            if (!signal?.aborted) {
+                console.error('Bibliographic search failed:', e);
+            }
         }
     }
 
+    // Lookups failed because they were cancelled - not a verdict on the citation
+    signal?.throwIfAborted();
+
     // No validation found
     citation.validationStatus = 'invalid';
     citation.validationMessage = 'Could not verify citation';
 }
 
+/**
+ * Score a citation again against the record already fetched for it, e.g. after a manual
+ * correction. Uses the record the status was based on: CrossRef if present, else OpenAlex.
+ * @returns {boolean} - false if the citation has no fetched record to compare with
+ */
+export function rescoreCitation(citation) {
+    const { crossref: crossRefResult, openalex: openAlexResult } = citation.validation || {};
+    if (!crossRefResult && !openAlexResult) return false;
+
+    const normalized = crossRefResult ? normalizeCrossRef(crossRefResult) : normalizeOpenAlex(openAlexResult);
+    const matchScore = computeMatchScore(citation, normalized);
+    citation.validation.matchScore = matchScore;
+
+    // Runs saved before the lookup method was recorded
+    const method = citation.validation.method || (crossRefResult ? 'Matched via CrossRef' : 'Matched via OpenAlex');
+    const { status, message } = getValidationStatus(matchScore, method);
+    citation.validationStatus = status;
+    citation.validationMessage = message;
+    return true;
+}
+
 /**
  * Build bibliographic query from citation fields
  */
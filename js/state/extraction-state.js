@@ -3,6 +3,7 @@
  */
 
 import { WINDOW_COLORS } from '../config/constants.js';
+import { alignText } from '../utils/alignment.js';
 
 /**
  * Create extraction state container
@@ -14,11 +15,156 @@ export function createExtractionState() {
         lineToExtractions: new Map(),
         processingResults: [],
         currentWindows: [],
+        unprocessedWindows: [],
         isProcessing: false,
-        shouldCancel: false
+        isPaused: false,
+        pauseGate: null,
+        shouldCancel: false,
+        abortController: null,
+        reservedIndex: 0
     };
 }
 
+/**
+ * Cancel the running processing: stops after the current step and aborts in-flight requests
+ */
+export function cancelProcessing(state) {
+    state.shouldCancel = true;
+    state.abortController?.abort();
+    resumeProcessing(state);
+}
+
+/**
+ * Pause the running processing. Requests already in flight finish;
+ * no new window or validation is started until resumeProcessing() is called.
+ */
+export function pauseProcessing(state) {
+    if (state.isPaused) return;
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    state.isPaused = true;
+    state.pauseGate = { promise, resolve };
+}
+
+/**
+ * Resume a paused processing run
+ */
+export function resumeProcessing(state) {
+    if (!state.isPaused) return;
+    state.isPaused = false;
+    state.pauseGate.resolve();
+    state.pauseGate = null;
+}
+
+/**
+ * Wait until the processing is not paused (resolves immediately if it is not)
+ */
+export function waitWhilePaused(state) {
+    return state.pauseGate ? state.pauseGate.promise : Promise.resolve();
+}
+
+/**
+ * Mark an extraction whose validation was cancelled. It is kept, but without a verdict.
+ */
+export function markExtractionCancelled(extraction) {
+    extraction.cancelled = true;
+    extraction.validation = {};
+    extraction.validationStatus = 'pending';
+    extraction.validationMessage = 'Not validated - processing was cancelled';
+}
+
+/**
+ * Normalize a field value for comparison; empty values (undefined, '', [], false) become null
+ */
+function normalizeFieldValue(value) {
+    if (value === undefined || value === '' || value === false || (Array.isArray(value) && value.length === 0)) return null;
+    return value;
+}
+
+/**
+ * Apply a manual correction to the fields of an extraction.
+ * The value a field had before its first correction (the extracted value) is kept in
+ * `manualCorrections`, so reports can tell human edits from extractor output.
+ * Editing a field back to its extracted value drops its correction record.
+ * @param {Object} extraction - Extraction (modified in place)
+ * @param {Object} changes - New field values; empty values clear the field
+ * @returns {Array<string>} - Names of the fields that changed
+ */
+export function applyManualCorrection(extraction, changes) {
+    const corrections = extraction.manualCorrections || {};
+    const changed = [];
+
+    for (const [field, rawValue] of Object.entries(changes)) {
+        const value = normalizeFieldValue(rawValue);
+        const current = normalizeFieldValue(extraction[field]);
+        if (JSON.stringify(value) === JSON.stringify(current)) continue;
+
+        if (!corrections[field]) {
+            corrections[field] = { original: current };
+        }
+        if (JSON.stringify(value) === JSON.stringify(corrections[field].original)) {
+            delete corrections[field];
+        } else {
+            corrections[field].correctedAt = new Date().toISOString();
+        }
+
+        if (value === null) {
+            delete extraction[field];
+        } else {
+            extraction[field] = value;
+        }
+        changed.push(field);
+    }
+
+    if (Object.keys(corrections).length > 0) {
+        extraction.manualCorrections = corrections;
+    } else {
+        delete extraction.manualCorrections;
+    }
+
+    // A corrected identifier settles the disagreement between the LLM and the source text
+    if (extraction.identifierMismatches) {
+        extraction.identifierMismatches = extraction.identifierMismatches.filter(m => !changed.includes(m.type));
+        if (extraction.identifierMismatches.length === 0) {
+            delete extraction.identifierMismatches;
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * Set or clear the reviewer verdict of an extraction. The automated validation status is kept.
+ * @param {Object} extraction - Extraction (modified in place)
+ * @param {string} verdict - Key of VERDICT_LABELS, or '' to clear the review
+ * @param {string} note - Free-text reviewer note
+ */
+export function setReviewVerdict(extraction, verdict, note = '') {
+    if (!verdict && !note.trim()) {
+        delete extraction.review;
+        return;
+    }
+    extraction.review = {
+        verdict: verdict || null,
+        note: note.trim(),
+        reviewedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Get the result category of an extraction (see CATEGORY_LABELS).
+ * A reviewer verdict decides the category; without one (or with "can't determine")
+ * the automated status does.
+ */
+export function getResultCategory(extraction) {
+    switch (extraction.review?.verdict) {
+        case 'real': return 'verified';
+        case 'fabricated': return 'fabricated';
+        case 'miscited': return 'miscited';
+        default: return extraction.validationStatus === 'valid' ? 'verified' : 'unverified';
+    }
+}
+
 /**
  * Compute which line number a character position falls on (1-indexed)
  * Handles all line ending types: \r\n (Windows), \n (Unix), \r (old Mac)
@@ -46,6 +192,91 @@ export function processExtraction(rawExtraction, index, windowIndex) {
     };
 }
 
+/**
+ * Validate the line span reported by the LLM against the window it came from.
+ * Keeps start_line/end_line only if they lie inside the window and the first word
+ * of raw_text appears on those lines.
+ * @param {Object} extraction - Processed extraction (modified in place)
+ * @param {Object} win - The window the extraction came from
+ */
+export function validateLineSpan(extraction, win) {
+    const start = parseInt(extraction.start_line, 10);
+    const end = parseInt(extraction.end_line, 10);
+    delete extraction.start_line;
+    delete extraction.end_line;
+
+    if (!win || isNaN(start) || isNaN(end) || start > end ||
+        start < win.startLine || end > win.endLine) {
+        return;
+    }
+
+    const spanText = win.text
+        .split(/\r\n|\r|\n/)
+        .slice(start - win.startLine, end - win.startLine + 1)
+        .join(' ')
+        .toLowerCase();
+    const firstWord = (extraction.raw_text || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/u)?.[0];
+    if (firstWord && !spanText.includes(firstWord)) return;
+
+    extraction.start_line = start;
+    extraction.end_line = end;
+}
+
+/**
+ * Get the character offsets of a line range within a window's text
+ * @returns {{start: number, end: number}|null} - Offsets relative to the window text
+ */
+function getWindowLineRange(win, startLine, endLine) {
+    const lineRegex = /[^\r\n]*(?:\r\n|\r|\n|$)/g;
+    let lineNumber = win.startLine;
+    let start = null;
+    let match;
+
+    while ((match = lineRegex.exec(win.text)) !== null && match[0] !== '') {
+        if (lineNumber === startLine) start = match.index;
+        if (lineNumber === endLine) {
+            return start === null ? null : { start, end: match.index + match[0].length };
+        }
+        lineNumber++;
+    }
+    return null;
+}
+
+/**
+ * Locate an extraction in its window by aligning raw_text against the window text.
+ * Sets `sourceSpan` to exact [start, end) offsets in the full text; extractions without
+ * a confident alignment are left without a span ("unlocated").
+ * The validated line span, if any, is tried first so repeated entries resolve correctly.
+ * @param {Object} extraction - Processed extraction (modified in place)
+ * @param {Object} win - The window the extraction came from
+ */
+export function locateExtraction(extraction, win) {
+    delete extraction.sourceSpan;
+    if (extraction.error || !win || !extraction.raw_text) return;
+
+    let match = null;
+    let offset = 0;
+
+    if (extraction.start_line && extraction.end_line) {
+        const range = getWindowLineRange(win, extraction.start_line, extraction.end_line);
+        if (range) {
+            match = alignText(extraction.raw_text, win.text.slice(range.start, range.end));
+            offset = range.start;
+        }
+    }
+    if (!match) {
+        match = alignText(extraction.raw_text, win.text);
+        offset = 0;
+    }
+
+    if (match) {
+        extraction.sourceSpan = {
+            start: win.start + offset + match.start,
+            end: win.start + offset + match.end
+        };
+    }
+}
+
 /**
  * Check if two incomplete extractions should be merged.
  *
@@ -175,6 +406,12 @@ function extractionsMatchByFields(ext1, ext2) {
  * - OR: High title similarity (>80%) + matching first author + matching year
  */
 function extractionsAreDuplicates(ext1, ext2) {
+    // Entries at different places in the text are distinct, even if they share a title or identifier
+    if (ext1.sourceSpan && ext2.sourceSpan &&
+        (ext1.sourceSpan.end <= ext2.sourceSpan.start || ext2.sourceSpan.end <= ext1.sourceSpan.start)) {
+        return false;
+    }
+
     // Definitive match by unique identifiers
     if (ext1.doi && ext2.doi &&
         ext1.doi.toLowerCase() === ext2.doi.toLowerCase()) {
@@ -255,149 +492,9 @@ function calculateSimilarity(str1, str2) {
 }
 
 /**
- * Escape special regex characters in a string
- */
-function escapeRegExp(str) {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
-/**
- * Find the character position range of an extraction in the source text
- * by matching its fields (raw_text, title, DOI, etc.)
- * Returns { start, end } character positions, or null if not found
- */
-function findExtractionInText(extraction, fullText) {
-    if (!fullText || extraction.error) return null;
-
-    const textLower = fullText.toLowerCase();
-    let bestMatch = null;
-
-    // Strategy 1: Match raw_text (most reliable - it's the actual source text)
-    if (extraction.raw_text && extraction.raw_text.length >= 20) {
-        // Try exact match first
-        const rawTextLower = extraction.raw_text.toLowerCase().trim();
-        let pos = textLower.indexOf(rawTextLower);
-        if (pos >= 0) {
-            return { start: pos, end: pos + rawTextLower.length };
-        }
-
-        // Try matching first significant chunk (first 50+ chars)
-        const chunk = rawTextLower.substring(0, Math.min(80, rawTextLower.length));
-        pos = textLower.indexOf(chunk);
-        if (pos >= 0) {
-            // Find the end by looking for the last part of raw_text
-            const lastChunk = rawTextLower.substring(Math.max(0, rawTextLower.length - 40));
-            const endPos = textLower.indexOf(lastChunk, pos);
-            if (endPos >= pos) {
-                return { start: pos, end: endPos + lastChunk.length };
-            }
-            return { start: pos, end: pos + chunk.length + 100 }; // Estimate
-        }
-    }
-
-    // Strategy 2: Match by DOI (unique identifier)
-    if (extraction.doi) {
-        const doiLower = extraction.doi.toLowerCase();
-        const pos = textLower.indexOf(doiLower);
-        if (pos >= 0) {
-            // DOI found - expand to find the full entry
-            // Look backwards for entry start (number + period or newline)
-            let start = pos;
-            for (let i = pos - 1; i >= Math.max(0, pos - 500); i--) {
-                if (fullText[i] === '\n' || fullText[i] === '\r') {
-                    // Check if this looks like an entry start
-                    const afterNewline = fullText.substring(i + 1, i + 10).trim();
-                    if (/^\d+[\.\)]/.test(afterNewline) || afterNewline.length === 0) {
-                        start = i + 1;
-                        break;
-                    }
-                }
-            }
-            // Look forward for entry end
-            let end = pos + doiLower.length;
-            for (let i = end; i < Math.min(fullText.length, end + 200); i++) {
-                if (fullText[i] === '\n' || fullText[i] === '\r') {
-                    const nextChar = fullText[i + 1];
-                    if (!nextChar || /\d/.test(nextChar) || nextChar === '\n' || nextChar === '\r') {
-                        end = i;
-                        break;
-                    }
-                }
-            }
-            bestMatch = { start, end };
-        }
-    }
-
-    // Strategy 3: Match by title
-    if (!bestMatch && extraction.title && extraction.title.length >= 15) {
-        const titleLower = extraction.title.toLowerCase().trim();
-        const pos = textLower.indexOf(titleLower);
-        if (pos >= 0) {
-            // Title found - expand to find full entry (similar logic)
-            let start = pos;
-            for (let i = pos - 1; i >= Math.max(0, pos - 300); i--) {
-                if (fullText[i] === '\n' || fullText[i] === '\r') {
-                    start = i + 1;
-                    break;
-                }
-            }
-            let end = pos + titleLower.length;
-            for (let i = end; i < Math.min(fullText.length, end + 400); i++) {
-                if (fullText[i] === '\n' || fullText[i] === '\r') {
-                    const nextPart = fullText.substring(i + 1, i + 5).trim();
-                    if (/^\d+[\.\)]/.test(nextPart)) {
-                        end = i;
-                        break;
-                    }
-                }
-                end = i;
-            }
-            bestMatch = { start, end };
-        }
-    }
-
-    // Strategy 4: Match by first author + year
-    if (!bestMatch && extraction.authors?.length > 0 && extraction.year) {
-        const firstAuthor = extraction.authors[0].family?.toLowerCase();
-        if (firstAuthor && firstAuthor.length >= 3) {
-            const yearStr = String(extraction.year);
-            // Look for author name followed by year within reasonable distance
-            const authorPos = textLower.indexOf(firstAuthor);
-            if (authorPos >= 0) {
-                const searchArea = textLower.substring(authorPos, authorPos + 500);
-                if (searchArea.includes(yearStr)) {
-                    let start = authorPos;
-                    // Find entry boundaries
-                    for (let i = authorPos - 1; i >= Math.max(0, authorPos - 100); i--) {
-                        if (fullText[i] === '\n' || fullText[i] === '\r') {
-                            start = i + 1;
-                            break;
-                        }
-                    }
-                    let end = authorPos + 300;
-                    for (let i = authorPos; i < Math.min(fullText.length, authorPos + 500); i++) {
-                        if (fullText[i] === '\n' || fullText[i] === '\r') {
-                            const nextPart = fullText.substring(i + 1, i + 5).trim();
-                            if (/^\d+[\.\)]/.test(nextPart)) {
-                                end = i;
-                                break;
-                            }
-                        }
-                        end = i;
-                    }
-                    bestMatch = { start, end };
-                }
-            }
-        }
-    }
-
-    return bestMatch;
-}
-
-/**
- * Build line-to-extraction mapping by finding where extractions appear in source text
+ * Build line-to-extraction mapping from the located source spans
  * @param {Object} state - The extraction state
- * @param {string} fullText - The full source text to search in
+ * @param {string} fullText - The full source text
  */
 export function buildLineExtractionMap(state, fullText) {
     state.extractionMap.clear();
@@ -406,28 +503,23 @@ export function buildLineExtractionMap(state, fullText) {
     state.extractions.forEach(extraction => {
         state.extractionMap.set(extraction.id, extraction);
 
-        // Find where this extraction actually appears in the text
-        const position = findExtractionInText(extraction, fullText);
+        // Unlocated and error extractions are not mapped to any lines
+        if (!extraction.sourceSpan) return;
 
-        if (position) {
-            // Convert character positions to line numbers
-            const startLine = charPosToLine(fullText, position.start);
-            const endLine = charPosToLine(fullText, position.end);
+        const startLine = charPosToLine(fullText, extraction.sourceSpan.start);
+        const endLine = charPosToLine(fullText, Math.max(extraction.sourceSpan.start, extraction.sourceSpan.end - 1));
 
-            // Set line numbers on extraction (used for scrolling)
-            extraction.absoluteLineStart = startLine;
-            extraction.absoluteLineEnd = endLine;
+        // Set line numbers on extraction (used for scrolling)
+        extraction.absoluteLineStart = startLine;
+        extraction.absoluteLineEnd = endLine;
 
-            // Map lines to this extraction
-            for (let line = startLine; line <= endLine; line++) {
-                if (!state.lineToExtractions.has(line)) {
-                    state.lineToExtractions.set(line, new Set());
-                }
-                state.lineToExtractions.get(line).add(extraction.id);
+        // Map lines to this extraction
+        for (let line = startLine; line <= endLine; line++) {
+            if (!state.lineToExtractions.has(line)) {
+                state.lineToExtractions.set(line, new Set());
             }
+            state.lineToExtractions.get(line).add(extraction.id);
         }
-        // If field matching fails, extraction won't be mapped to any lines
-        // This is expected for error extractions or those with insufficient data
     });
 }
 
@@ -439,6 +531,20 @@ export function clearExtractions(state) {
     state.extractionMap.clear();
     state.lineToExtractions.clear();
     state.processingResults = [];
+    state.unprocessedWindows = [];
+    state.reservedIndex = 0;
+}
+
+/**
+ * Reserve a range of extraction indices, so extractions created while others are
+ * still being validated never share an id
+ * @param {number} count - Number of indices to reserve
+ * @returns {number} - First reserved index
+ */
+export function reserveExtractionIndices(state, count) {
+    const first = Math.max(state.reservedIndex, ...state.extractions.map(e => e.index + 1));
+    state.reservedIndex = first + count;
+    return first;
 }
 
 /**
@@ -449,10 +555,19 @@ export function addExtraction(state, extraction) {
     state.processingResults.push(extraction);
 }
 
+/**
+ * Remove an extraction from state
+ */
+export function removeExtraction(state, id) {
+    state.extractions = state.extractions.filter(e => e.id !== id);
+    state.processingResults = state.processingResults.filter(e => e.id !== id);
+    state.extractionMap.delete(id);
+}
+
 /**
  * Create an error extraction object
  */
-export function createErrorExtraction(index, windowIndex, errorMessage) {
+export function createErrorExtraction(index, windowIndex, errorMessage, rawResponses = []) {
     return {
         id: `extraction-${index}`,
         index: index,
@@ -460,6 +575,7 @@ export function createErrorExtraction(index, windowIndex, errorMessage) {
         windowIndex: windowIndex,
         error: true,
         errorMessage: errorMessage,
+        rawResponses: rawResponses,
         validationStatus: 'invalid'
     };
 }
@@ -0,0 +1,129 @@
+/**
+ * Persistence of processing runs in IndexedDB, so a reload or crash does not lose results
+ */
+
+import { idbGet, idbGetAll, idbPut, idbDelete } from '../utils/idb.js';
+
+const STORE = 'runs';
+
+/**
+ * Copy settings for storage - the API key never leaves localStorage
+ */
+function snapshotSettings(settings) {
+    const { llmApiKey, ...rest } = settings;
+    return rest;
+}
+
+/**
+ * Default run name: the first line of the input, shortened
+ */
+function deriveRunName(inputText) {
+    const firstLine = inputText.split(/\r?\n/).find(line => line.trim())?.trim() || 'Untitled run';
+    return firstLine.length > 60 ? firstLine.slice(0, 57) + '...' : firstLine;
+}
+
+/**
+ * Create a run record for a new processing run
+ * @param {string} inputText - Full bibliography text
+ * @param {Array<Object>} windows - Windows of the run
+ * @param {Object} settings - Settings used for the run
+ * @param {string} name - Name shown in the history (defaults to the first input line)
+ */
+export function createRunRecord(inputText, windows, settings, name = '') {
+    const now = Date.now();
+    return {
+        id: `run-${now}`,
+        name: name || deriveRunName(inputText),
+        createdAt: now,
+        updatedAt: now,
+        status: 'running',
+        inputText,
+        windows,
+        settings: snapshotSettings(settings),
+        extractions: [],
+        checkpoint: {
+            nextWindow: 0,
+            extractionIndex: 0,
+            pendingIncompleteEnd: [],
+            unvalidated: [],
+            windowStatus: windows.map(() => 'pending')
+        }
+    };
+}
+
+/**
+ * Save a run with the current extractions and checkpoint of the processing state
+ * @param {Object} run - Run record
+ * @param {Object} state - Extraction state
+ * @param {Object} changes - Fields to update, e.g. { status, checkpoint }
+ */
+export async function saveRun(run, state, changes = {}) {
+    Object.assign(run, changes, {
+        extractions: state.extractions,
+        updatedAt: Date.now()
+    });
+    await idbPut(STORE, run);
+    return run;
+}
+
+/**
+ * Load a run by id
+ */
+export async function loadRun(id) {
+    return (await idbGet(STORE, id)) || null;
+}
+
+/**
+ * List all saved runs, most recently updated first
+ */
+export async function listRuns() {
+    const runs = await idbGetAll(STORE);
+    return runs.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Load the most recently updated run that was processed, or null if there is none
+ */
+export async function loadLatestRun() {
+    const runs = await listRuns();
+    return runs.find(run => run.status !== 'draft') || null;
+}
+
+/**
+ * Delete a run
+ */
+export function deleteRun(id) {
+    return idbDelete(STORE, id);
+}
+
+/**
+ * Rename a saved run
+ */
+export async function renameRun(id, name) {
+    const run = await loadRun(id);
+    if (!run) throw new Error('Run not found');
+    run.name = name;
+    await idbPut(STORE, run);
+    return run;
+}
+
+/**
+ * Save a copy of a run's input as an unprocessed draft, to re-run it with different settings
+ */
+export async function duplicateRun(run) {
+    const draft = createRunRecord(run.inputText, [], run.settings, `${run.name} (copy)`);
+    draft.status = 'draft';
+    await idbPut(STORE, draft);
+    return draft;
+}
+
+/**
+ * Check whether a run has windows or validations left to process
+ */
+export function isRunResumable(run) {
+    const { checkpoint } = run;
+    if (!checkpoint) return false;
+    return checkpoint.nextWindow < run.windows.length ||
+        checkpoint.unvalidated.length > 0 ||
+        run.extractions.some(e => e.cancelled);
+}
@@ -2,9 +2,9 @@
  * Settings state management
  */
 
-import { DEFAULT_PROMPT } from '../config/prompt.js';
+import { DEFAULT_PROMPT, PREVIOUS_DEFAULT_PROMPTS } from '../config/prompt.js';
 import { DEFAULT_ENDPOINTS } from '../config/constants.js';
-import { fetchModels, getDefaultEndpoint } from '../api/llm-client.js';
+import { fetchModels, getDefaultEndpoint, providerRequiresApiKey } from '../api/llm-client.js';
 
 const STORAGE_KEY = 'refcheckwebapp_settings';
 
@@ -13,6 +13,7 @@ const STORAGE_KEY = 'refcheckwebapp_settings';
  */
 function createDefaultSettings() {
     return {
+        windowMode: 'entries',
         windowSize: 2000,
         overlap: 200,
         userEmail: '',
@@ -22,12 +23,15 @@ function createDefaultSettings() {
         llmModel: '',
         extractionPrompt: DEFAULT_PROMPT,
         maxLLMRPM: 15,
-        maxValidationRPM: 50
+        maxValidationRPM: 50,
+        maxRetryAttempts: 4,
+        extractionMethod: 'llm'
     };
 }
 
 /**
- * Load settings from localStorage
+ * Load settings from localStorage.
+ * A stored prompt equal to an earlier default is replaced by the current default.
  */
 export function loadSettings() {
     const settings = createDefaultSettings();
@@ -36,6 +40,9 @@ export function loadSettings() {
     if (saved) {
         try {
             const parsed = JSON.parse(saved);
+            if (PREVIOUS_DEFAULT_PROMPTS.includes(parsed.extractionPrompt)) {
+                delete parsed.extractionPrompt;
+            }
             Object.assign(settings, parsed);
         } catch (e) {
             console.error('Failed to parse saved settings:', e);
@@ -46,10 +53,13 @@ export function loadSettings() {
 }
 
 /**
- * Save settings to localStorage
+ * Save settings to localStorage.
+ * The default prompt is not stored, so later versions of it apply without migration.
  */
 export function saveSettings(settings) {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    const { extractionPrompt, ...rest } = settings;
+    const stored = extractionPrompt === DEFAULT_PROMPT ? rest : settings;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
 }
 
 /**
@@ -59,6 +69,35 @@ export function getDefaultPrompt() {
     return DEFAULT_PROMPT;
 }
 
+/**
+ * Check a custom extraction prompt for the line-span instructions the extraction relies on
+ * @returns {string|null} - Warning message, or null if the prompt asks for start_line/end_line
+ */
+export function getPromptWarning(prompt) {
+    if (/start_line/.test(prompt) && /end_line/.test(prompt)) return null;
+    return 'The extraction prompt does not ask for start_line/end_line. The text is sent with "N | " line number prefixes; ' +
+        'without instructions the model may copy them into raw_text and entries cannot be located in the source. ' +
+        'Use "Reset to Default" or add these instructions to your prompt.';
+}
+
+/**
+ * Check if a settings object has a usable LLM configuration
+ */
+export function isLLMConfigured(settings) {
+    return !!(
+        settings.llmEndpoint &&
+        (settings.llmApiKey || !providerRequiresApiKey(settings.llmProvider)) &&
+        settings.llmModel
+    );
+}
+
+/**
+ * Check if processing can start with a settings object (the rule-based parser needs no LLM)
+ */
+export function isReadyToProcess(settings) {
+    return settings.extractionMethod === 'heuristic' || isLLMConfigured(settings);
+}
+
 /**
  * Settings manager class for UI integration
  */
@@ -85,9 +124,13 @@ export class SettingsManager {
             windowSizeInput, overlapInput, userEmailInput,
             llmProviderSelect, llmEndpointInput, llmApiKeyInput,
             llmModelSelect, extractionPromptTextarea,
-            maxLLMRPMInput, maxValidationRPMInput
+            maxLLMRPMInput, maxValidationRPMInput, extractionMethodSelect,
+            windowModeSelect, maxRetryAttemptsInput
         } = this.elements;
 
+        if (windowModeSelect) {
+            windowModeSelect.value = this.settings.windowMode;
+        }
         windowSizeInput.value = this.settings.windowSize;
         overlapInput.value = this.settings.overlap;
         userEmailInput.value = this.settings.userEmail;
@@ -102,6 +145,12 @@ export class SettingsManager {
         if (maxValidationRPMInput) {
             maxValidationRPMInput.value = this.settings.maxValidationRPM;
         }
+        if (maxRetryAttemptsInput) {
+            maxRetryAttemptsInput.value = this.settings.maxRetryAttempts;
+        }
+        if (extractionMethodSelect) {
+            extractionMethodSelect.value = this.settings.extractionMethod;
+        }
 
         this.updateEndpointPlaceholder();
 
@@ -183,9 +232,11 @@ export class SettingsManager {
             windowSizeInput, overlapInput, userEmailInput,
             llmProviderSelect, llmEndpointInput, llmApiKeyInput,
             llmModelSelect, extractionPromptTextarea,
-            maxLLMRPMInput, maxValidationRPMInput
+            maxLLMRPMInput, maxValidationRPMInput, extractionMethodSelect,
+            windowModeSelect, maxRetryAttemptsInput
         } = this.elements;
 
+        this.settings.windowMode = windowModeSelect?.value || 'entries';
         this.settings.windowSize = parseInt(windowSizeInput.value) || 2000;
         this.settings.overlap = parseInt(overlapInput.value) || 500;
         this.settings.userEmail = userEmailInput.value.trim();
@@ -196,6 +247,8 @@ export class SettingsManager {
         this.settings.extractionPrompt = extractionPromptTextarea.value;
         this.settings.maxLLMRPM = parseInt(maxLLMRPMInput?.value) || 15;
         this.settings.maxValidationRPM = parseInt(maxValidationRPMInput?.value) || 50;
+        this.settings.maxRetryAttempts = parseInt(maxRetryAttemptsInput?.value) || 4;
+        this.settings.extractionMethod = extractionMethodSelect?.value || 'llm';
 
         saveSettings(this.settings);
 
@@ -225,14 +278,26 @@ export class SettingsManager {
         return this.settings;
     }
 
+    /**
+     * Get a warning about the extraction prompt, if the LLM extraction would use it
+     * @returns {string|null}
+     */
+    getPromptWarning() {
+        if (this.settings.extractionMethod === 'heuristic') return null;
+        return getPromptWarning(this.settings.extractionPrompt);
+    }
+
     /**
      * Check if LLM is configured
      */
     isLLMConfigured() {
-        return !!(
-            this.settings.llmEndpoint &&
-            this.settings.llmApiKey &&
-            this.settings.llmModel
-        );
+        return isLLMConfigured(this.settings);
+    }
+
+    /**
+     * Check if processing can start (the rule-based parser needs no LLM)
+     */
+    isReadyToProcess() {
+        return isReadyToProcess(this.settings);
     }
 }
@@ -43,12 +43,13 @@ export function switchToReadOnlyMode(elements) {
  * Switch to edit mode
  */
 export function switchToEditMode(elements, onClear) {
-    const { inputTextarea, markersDisplay, editInputBtn, collapseAllBtn } = elements;
+    const { inputTextarea, markersDisplay, editInputBtn, collapseAllBtn, exportSelect } = elements;
 
     markersDisplay.classList.remove('visible');
     inputTextarea.classList.remove('hidden');
     editInputBtn.style.display = 'none';
     collapseAllBtn.disabled = true;
+    exportSelect.disabled = true;
 
     if (onClear) {
         onClear();
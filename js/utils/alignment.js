@@ -0,0 +1,119 @@
+/**
+ * Text alignment utilities - locate a (possibly normalized) excerpt in a source text
+ */
+
+/**
+ * Minimum share of excerpt tokens that must align for a confident match
+ */
+const MIN_CONFIDENCE = 0.6;
+
+const MATCH_SCORE = 2;
+const PARTIAL_SCORE = 1;
+const MISMATCH_PENALTY = -1;
+const GAP_PENALTY = -1;
+
+/**
+ * Split text into normalized word tokens with their character offsets.
+ * Case, diacritics, quotes, dashes and other punctuation are ignored.
+ */
+function tokenize(text) {
+    const tokens = [];
+    const regex = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        tokens.push({
+            value: match[0].normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase(),
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+    return tokens;
+}
+
+/**
+ * Score two tokens. Prefix matches cover hyphenation across line breaks and abbreviations.
+ */
+function scoreTokens(a, b) {
+    if (a === b) return MATCH_SCORE;
+    if (a.length >= 3 && b.length >= 3 && (a.startsWith(b) || b.startsWith(a))) return PARTIAL_SCORE;
+    return MISMATCH_PENALTY;
+}
+
+/**
+ * Locally align an excerpt against a source text (Smith-Waterman on word tokens).
+ * @param {string} excerpt - Text to find, e.g. an extraction's raw_text
+ * @param {string} source - Text to search in
+ * @returns {{start: number, end: number, confidence: number}|null} - Span [start, end) in source,
+ *          or null if no confident alignment exists
+ */
+export function alignText(excerpt, source) {
+    const query = tokenize(excerpt || '');
+    const target = tokenize(source || '');
+    if (query.length === 0 || target.length === 0) return null;
+
+    const rows = query.length + 1;
+    const cols = target.length + 1;
+    const scores = new Int32Array(rows * cols);
+    // Traceback: 0 = stop, 1 = diagonal, 2 = up (skip query token), 3 = left (skip target token)
+    const trace = new Uint8Array(rows * cols);
+
+    let bestScore = 0;
+    let bestCell = -1;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cell = i * cols + j;
+            const diagonal = scores[cell - cols - 1] + scoreTokens(query[i - 1].value, target[j - 1].value);
+            const up = scores[cell - cols] + GAP_PENALTY;
+            const left = scores[cell - 1] + GAP_PENALTY;
+
+            let score = 0;
+            let direction = 0;
+            if (diagonal > score) { score = diagonal; direction = 1; }
+            if (up > score) { score = up; direction = 2; }
+            if (left > score) { score = left; direction = 3; }
+
+            scores[cell] = score;
+            trace[cell] = direction;
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestCell = cell;
+            }
+        }
+    }
+
+    if (bestCell < 0) return null;
+
+    // Trace back to the start of the local alignment
+    let i = Math.floor(bestCell / cols);
+    let j = bestCell % cols;
+    const lastTarget = j - 1;
+    let firstTarget = lastTarget;
+    let aligned = 0;
+
+    while (i > 0 && j > 0 && trace[i * cols + j] !== 0) {
+        const direction = trace[i * cols + j];
+        if (direction === 1) {
+            if (scoreTokens(query[i - 1].value, target[j - 1].value) > 0) aligned++;
+            firstTarget = j - 1;
+            i--;
+            j--;
+        } else if (direction === 2) {
+            i--;
+        } else {
+            j--;
+        }
+    }
+
+    const confidence = aligned / query.length;
+    if (confidence < MIN_CONFIDENCE) return null;
+
+    // Include trailing punctuation of the last token ("2020." / "123-145).")
+    let end = target[lastTarget].end;
+    while (end < source.length && /[^\s\p{L}\p{N}]/u.test(source[end])) {
+        end++;
+    }
+
+    return { start: target[firstTarget].start, end, confidence };
+}
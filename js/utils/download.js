@@ -0,0 +1,32 @@
+/**
+ * File download utility
+ */
+
+/**
+ * Offer text content to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type of the file
+ */
+export function downloadTextFile(filename, content, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoke asynchronously so the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Build a date-stamped file name like "refcheck-2024-05-01.bib"
+ */
+export function buildExportFilename(extension) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `refcheck-${date}.${extension}`;
+}
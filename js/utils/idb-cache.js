@@ -0,0 +1,93 @@
+/**
+ * Key-value caches on top of IndexedDB object stores
+ */
+
+import { idbGet, idbGetAll, idbPut, idbDelete, idbClear, isBlockedError } from './idb.js';
+
+/**
+ * Hash a value (JSON-serialized) to a hex SHA-256 string, for use as a cache key
+ * @returns {Promise<string|null>} - null where Web Crypto is unavailable (insecure contexts)
+ */
+export async function hashKey(value) {
+    if (!globalThis.crypto?.subtle) return null;
+    const data = new TextEncoder().encode(JSON.stringify(value));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Create a cache backed by an object store (keyPath 'key').
+ * The cache is optional: once IndexedDB fails, reads miss and writes are skipped.
+ * While a database upgrade is blocked by another tab the cache is only skipped.
+ * @param {string} storeName - Object store, declared in idb.js
+ * @param {number} ttl - Default entry lifetime in milliseconds
+ */
+export function createCache(storeName, ttl = Infinity) {
+    let unavailable = false;
+    let warned = false;
+
+    function disable(error) {
+        if (!warned) {
+            console.warn(`Cache "${storeName}" unavailable:`, error);
+            warned = true;
+        }
+        if (!isBlockedError(error)) {
+            unavailable = true;
+        }
+    }
+
+    return {
+        /**
+         * Get a fresh entry ({ value, storedAt, size, ttl? }) or null; expired entries are dropped
+         */
+        async get(key) {
+            if (unavailable) return null;
+            try {
+                const entry = await idbGet(storeName, key);
+                if (!entry) return null;
+                if (Date.now() - entry.storedAt > (entry.ttl ?? ttl)) {
+                    idbDelete(storeName, key).catch(() => {});
+                    return null;
+                }
+                return entry;
+            } catch (error) {
+                disable(error);
+                return null;
+            }
+        },
+
+        /**
+         * Store a value (written in the background, from a copy taken now)
+         * @param {number} entryTtl - Optional lifetime of this entry, instead of the cache's
+         */
+        set(key, value, entryTtl) {
+            if (unavailable) return;
+            idbPut(storeName, {
+                key,
+                value: structuredClone(value),
+                storedAt: Date.now(),
+                size: JSON.stringify(value ?? null).length,
+                ...(entryTtl !== undefined && { ttl: entryTtl })
+            }).catch(disable);
+        },
+
+        /**
+         * Number of entries and their approximate size
+         * @returns {Promise<{entries: number, bytes: number}>}
+         */
+        async stats() {
+            const entries = await idbGetAll(storeName);
+            return {
+                entries: entries.length,
+                bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0)
+            };
+        },
+
+        /**
+         * Remove all entries
+         */
+        clear() {
+            return idbClear(storeName);
+        }
+    };
+}
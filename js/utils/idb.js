@@ -0,0 +1,140 @@
+/**
+ * Minimal promise wrapper around IndexedDB
+ */
+
+const DB_NAME = 'refcheckwebapp';
+const DB_VERSION = 3;
+
+/**
+ * Object stores and their key paths - bump DB_VERSION when adding a store
+ */
+const STORES = {
+    runs: 'id',
+    lookupCache: 'key',
+    llmCache: 'key'
+};
+
+let dbPromise = null;
+
+// Set while an upgrade waits for another tab to close its connection
+let upgradeBlocked = false;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Create the error for requests made while the upgrade is blocked
+ */
+function createBlockedError() {
+    const error = new Error('Database upgrade blocked by another open tab');
+    error.name = 'BlockedError';
+    return error;
+}
+
+/**
+ * Check whether an error only means the database is waiting for another tab to close it.
+ * The database becomes available again without a reload.
+ */
+export function isBlockedError(error) {
+    return error?.name === 'BlockedError';
+}
+
+/**
+ * Open (and create or upgrade) the application database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+    if (!dbPromise) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+        if (upgradeBlocked) {
+            return Promise.reject(createBlockedError());
+        }
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const [name, keyPath] of Object.entries(STORES)) {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath });
+                    }
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version in another tab upgrade the database
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                upgradeBlocked = false;
+                dbPromise = Promise.resolve(db);
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            // The request stays open and succeeds once the other tab closes its connection;
+            // until then requests fail fast instead of waiting
+            request.onblocked = () => {
+                upgradeBlocked = true;
+                reject(createBlockedError());
+            };
+        });
+
+        // Allow a later retry if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run a single request against an object store
+ */
+async function withStore(storeName, mode, createRequest) {
+    const db = await openDatabase();
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return promisifyRequest(createRequest(store));
+}
+
+/**
+ * Get a record by key (undefined if missing)
+ */
+export function idbGet(storeName, key) {
+    return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Get all records of a store
+ */
+export function idbGetAll(storeName) {
+    return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Insert or replace a record
+ */
+export function idbPut(storeName, value) {
+    return withStore(storeName, 'readwrite', store => store.put(value));
+}
+
+/**
+ * Delete a record by key
+ */
+export function idbDelete(storeName, key) {
+    return withStore(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Delete all records of a store
+ */
+export function idbClear(storeName) {
+    return withStore(storeName, 'readwrite', store => store.clear());
+}
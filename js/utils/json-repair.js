@@ -0,0 +1,128 @@
+/**
+ * Tolerant JSON parsing for LLM output
+ */
+
+/**
+ * Remove markdown code fences and any prose around the JSON value
+ */
+function stripToJSON(text) {
+    let result = text.trim();
+    const fenced = result.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+    if (fenced) {
+        result = fenced[1].trim();
+    }
+    const start = result.search(/[[{]/);
+    return start >= 0 ? result.slice(start) : result;
+}
+
+/**
+ * Check whether a quote inside a string actually closes it:
+ * the next non-space character must be structural (or the text ends),
+ * and a comma must be followed by the start of another key or value
+ */
+function isClosingQuote(text, index) {
+    const rest = text.slice(index + 1).match(/^\s*(.)\s*(.)?/);
+    if (!rest) return true;
+    if (rest[1] === ',') {
+        return !rest[2] || /["{[\]}\d\-tfn]/.test(rest[2]);
+    }
+    return /[:}\]]/.test(rest[1]);
+}
+
+/**
+ * Check whether the container stack (after closing an element) is the citations array itself:
+ * a top-level array, or the array directly inside a top-level wrapper object
+ */
+function isCitationsArray(stack) {
+    if (stack.length === 1) return stack[0] === ']';
+    return stack.length === 2 && stack[0] === '}' && stack[1] === ']';
+}
+
+/**
+ * Repair common defects in LLM-generated JSON:
+ * unescaped quotes and raw newlines inside strings, trailing commas,
+ * and output cut off mid-array (the incomplete last citation is dropped, even when
+ * a nested array such as its authors was cut off after a complete element).
+ * @example
+ * // Truncated inside the second citation's authors: only the first citation is kept
+ * repairJSON('[{"title":"A"},{"title":"B","authors":[{"family":"X"},{"fam');
+ * // => '[{"title":"A"}]'
+ * @param {string} text - Raw LLM response
+ * @returns {string} - Repaired JSON text (not guaranteed to parse)
+ */
+export function repairJSON(text) {
+    const source = stripToJSON(text);
+    let output = '';
+    const stack = [];
+    let inString = false;
+    // Repaired output up to the last citation completed in the citations array
+    let lastComplete = null;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inString) {
+            if (char === '\\') {
+                output += char + (source[i + 1] ?? '');
+                i++;
+            } else if (char === '"') {
+                if (isClosingQuote(source, i)) {
+                    inString = false;
+                    output += char;
+                } else {
+                    output += '\\"';
+                }
+            } else if (char === '\n') {
+                output += '\\n';
+            } else if (char === '\r') {
+                output += '\\r';
+            } else if (char === '\t') {
+                output += '\\t';
+            } else {
+                output += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+            output += char;
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+            output += char;
+        } else if (char === '}' || char === ']') {
+            // Drop trailing commas before a closing bracket
+            output = output.replace(/,\s*$/, '');
+            stack.pop();
+            output += char;
+            if (stack.length === 0) {
+                return output;
+            }
+            if (isCitationsArray(stack)) {
+                lastComplete = { length: output.length, closers: stack.slice().reverse().join('') };
+            }
+        } else {
+            output += char;
+        }
+    }
+
+    // Truncated output: keep the complete elements and close the open containers.
+    // Without any complete element there is nothing worth keeping, so leave it unparseable.
+    if (stack.length > 0 && lastComplete) {
+        return output.slice(0, lastComplete.length) + lastComplete.closers;
+    }
+
+    return output;
+}
+
+/**
+ * Parse JSON, falling back to repairJSON if the text is not valid as-is
+ * @throws {Error} - If the text cannot be parsed even after repair
+ */
+export function parseTolerantJSON(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return JSON.parse(repairJSON(text));
+    }
+}
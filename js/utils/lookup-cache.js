@@ -0,0 +1,62 @@
+/**
+ * Persistent cache of CrossRef and OpenAlex responses in IndexedDB
+ */
+
+import { createCache } from './idb-cache.js';
+import { LOOKUP_CACHE_TTL, LOOKUP_MISS_TTL } from '../config/constants.js';
+
+const cache = createCache('lookupCache', LOOKUP_CACHE_TTL);
+
+/**
+ * Normalize a lookup value so equivalent DOIs, PMIDs and queries share a cache entry
+ * @param {string} type - 'doi', 'pmid' or 'query'
+ */
+function normalizeLookupKey(type, value) {
+    const str = String(value || '').trim();
+    switch (type) {
+        case 'doi':
+            return str.toLowerCase().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/, '');
+        case 'pmid':
+            return str.replace(/^pmid:\s*/i, '');
+        case 'query':
+            return str.toLowerCase().replace(/\s+/g, ' ');
+        default:
+            return str;
+    }
+}
+
+/**
+ * Run a lookup through the cache. Results are cached; "not found" (null or no search hits) only for a day,
+ * so a newly registered DOI is found soon. Errors are not cached, so a failed lookup is
+ * retried next time.
+ * @param {string} service - Name of the API, e.g. 'crossref'
+ * @param {string} type - 'doi', 'pmid' or 'query'
+ * @param {string} value - DOI, PMID or query text
+ * @param {Function} lookup - Performs the request when there is no fresh entry
+ */
+export async function cachedLookup(service, type, value, lookup) {
+    const key = `${service}:${type}:${normalizeLookupKey(type, value)}`;
+
+    const entry = await cache.get(key);
+    if (entry) return entry.value;
+
+    const result = await lookup();
+    const isMiss = result === null || (Array.isArray(result) && result.length === 0);
+    cache.set(key, result, isMiss ? LOOKUP_MISS_TTL : undefined);
+    return result;
+}
+
+/**
+ * Get the number of cached responses and their approximate size
+ * @returns {Promise<{entries: number, bytes: number}>}
+ */
+export function getLookupCacheStats() {
+    return cache.stats();
+}
+
+/**
+ * Remove all cached responses
+ */
+export function clearLookupCache() {
+    return cache.clear();
+}
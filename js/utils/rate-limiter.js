@@ -3,7 +3,65 @@
  */
 
 /**
- * RateLimiter class that manages concurrent requests and requests per minute
+ * Consecutive successful responses before an adaptive limiter raises its limits again
+ */
+const RECOVERY_STREAK = 5;
+
+/**
+ * Factor by which the RPM grows per recovery step
+ */
+const RECOVERY_FACTOR = 1.25;
+
+/**
+ * Parse a rate-limit interval such as "1s", "60s", "1m" or "6m0s"
+ * @returns {number|null} - Interval in seconds
+ */
+function parseIntervalSeconds(value) {
+    if (!value) return null;
+    if (/^\d+(\.\d+)?$/.test(value.trim())) return parseFloat(value);
+
+    let seconds = 0;
+    let matched = false;
+    for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+        matched = true;
+        seconds += parseFloat(amount) * { ms: 0.001, s: 1, m: 60, h: 3600 }[unit];
+    }
+    return matched ? seconds : null;
+}
+
+/**
+ * Parse a rate-limit reset header: seconds from now, a duration ("6m0s"),
+ * a Unix timestamp or an ISO date
+ * @returns {number|null} - Delay in milliseconds until the reset
+ */
+function parseResetDelayMs(value) {
+    if (!value) return null;
+    const number = Number(value);
+    if (!isNaN(number)) {
+        // Large values are Unix timestamps, small ones a number of seconds
+        return number > 1e9 ? Math.max(0, number * 1000 - Date.now()) : number * 1000;
+    }
+    const interval = parseIntervalSeconds(value);
+    if (interval !== null) return interval * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Read the first present header from a list of names
+ */
+function getHeader(headers, names) {
+    for (const name of names) {
+        const value = headers.get(name);
+        if (value !== null && value !== '') return value;
+    }
+    return null;
+}
+
+/**
+ * RateLimiter class that manages concurrent requests and requests per minute.
+ * The configured limits are upper bounds: observeResponse() lowers the effective limits
+ * when the server advertises a lower limit or answers 429, and raises them again gradually.
  */
 export class RateLimiter {
     /**
@@ -15,9 +73,106 @@ export class RateLimiter {
         this.maxConcurrent = options.maxConcurrent || Infinity;
         this.requestsPerMinute = options.requestsPerMinute || Infinity;
 
+        // Upper bounds for the adaptive limits
+        this.configuredConcurrent = this.maxConcurrent;
+        this.configuredRequestsPerMinute = this.requestsPerMinute;
+        this.advertisedRequestsPerMinute = Infinity;
+
         this.activeRequests = 0;
         this.requestTimestamps = [];
         this.queue = [];
+        this.pausedUntil = 0;
+        this.successStreak = 0;
+        this.queueTimer = null;
+    }
+
+    /**
+     * Highest RPM the limiter may recover to
+     */
+    _getRequestsPerMinuteCeiling() {
+        return Math.min(this.configuredRequestsPerMinute, this.advertisedRequestsPerMinute);
+    }
+
+    /**
+     * Adjust limits from a server response: rate-limit headers, 429s and successes
+     * @param {Response} response - fetch response
+     * @param {number|null} retryAfterMs - Server's requested delay, if any
+     */
+    observeResponse(response, retryAfterMs = null) {
+        const headers = response.headers;
+
+        // Advertised limit, e.g. CrossRef: X-Rate-Limit-Limit: 50, X-Rate-Limit-Interval: 1s
+        const limit = parseFloat(getHeader(headers, [
+            'X-Rate-Limit-Limit', 'X-RateLimit-Limit', 'X-RateLimit-Limit-Requests', 'RateLimit-Limit'
+        ]));
+        if (!isNaN(limit) && limit > 0) {
+            const interval = parseIntervalSeconds(getHeader(headers, ['X-Rate-Limit-Interval'])) || 60;
+            this.advertisedRequestsPerMinute = Math.max(1, Math.floor(limit * 60 / interval));
+            this.requestsPerMinute = Math.min(this.requestsPerMinute, this.advertisedRequestsPerMinute);
+        }
+
+        if (response.status === 429) {
+            this._slowDown(retryAfterMs);
+            return;
+        }
+
+        // Quota used up: wait for the reset before sending more
+        const remaining = parseFloat(getHeader(headers, [
+            'X-RateLimit-Remaining', 'X-RateLimit-Remaining-Requests', 'RateLimit-Remaining'
+        ]));
+        if (remaining === 0) {
+            const resetMs = parseResetDelayMs(getHeader(headers, [
+                'X-RateLimit-Reset', 'X-RateLimit-Reset-Requests', 'RateLimit-Reset'
+            ]));
+            if (resetMs) this._pause(resetMs);
+        }
+
+        if (response.ok) {
+            this._recover();
+        }
+    }
+
+    /**
+     * Halve the effective limits after a 429 and pause for the server's requested delay
+     */
+    _slowDown(retryAfterMs) {
+        this._cleanTimestamps();
+        const currentRate = this.requestsPerMinute === Infinity
+            ? Math.max(1, this.requestTimestamps.length)
+            : this.requestsPerMinute;
+
+        this.requestsPerMinute = Math.max(1, Math.floor(currentRate / 2));
+        if (this.maxConcurrent !== Infinity) {
+            this.maxConcurrent = Math.max(1, Math.floor(this.maxConcurrent / 2));
+        }
+        this.successStreak = 0;
+
+        if (retryAfterMs) this._pause(retryAfterMs);
+    }
+
+    /**
+     * Raise the effective limits step by step after a streak of successful responses
+     */
+    _recover() {
+        this.successStreak++;
+        if (this.successStreak < RECOVERY_STREAK) return;
+        this.successStreak = 0;
+
+        const ceiling = this._getRequestsPerMinuteCeiling();
+        if (this.requestsPerMinute < ceiling) {
+            this.requestsPerMinute = Math.min(ceiling, Math.ceil(this.requestsPerMinute * RECOVERY_FACTOR));
+        }
+        if (this.maxConcurrent < this.configuredConcurrent) {
+            this.maxConcurrent++;
+        }
+        this._processQueue();
+    }
+
+    /**
+     * Hold back queued requests until the given delay has passed
+     */
+    _pause(delayMs) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
     }
 
     /**
@@ -36,8 +191,9 @@ export class RateLimiter {
 
         const concurrencyOk = this.activeRequests < this.maxConcurrent;
         const rateOk = this.requestTimestamps.length < this.requestsPerMinute;
+        const notPaused = Date.now() >= this.pausedUntil;
 
-        return concurrencyOk && rateOk;
+        return concurrencyOk && rateOk && notPaused;
     }
 
     /**
@@ -46,14 +202,31 @@ export class RateLimiter {
     _getDelayMs() {
         this._cleanTimestamps();
 
-        // If rate limit would be exceeded, calculate when oldest request expires
+        const pauseDelay = Math.max(0, this.pausedUntil - Date.now());
+
+        // If rate limit would be exceeded, calculate when the oldest requests expire
         if (this.requestTimestamps.length >= this.requestsPerMinute) {
-            const oldestTimestamp = this.requestTimestamps[0];
+            const oldestTimestamp = this.requestTimestamps[this.requestTimestamps.length - this.requestsPerMinute];
             const delayNeeded = (oldestTimestamp + 60000) - Date.now();
-            return Math.max(0, delayNeeded + 10); // Add small buffer
+            return Math.max(pauseDelay, delayNeeded + 10); // Add small buffer
         }
 
-        return 0;
+        return pauseDelay;
+    }
+
+    /**
+     * Set a timer to retry processing the queue once rate limits allow
+     */
+    _scheduleQueueCheck() {
+        if (this.queueTimer || this.queue.length === 0) return;
+
+        const delay = this._getDelayMs();
+        if (delay > 0) {
+            this.queueTimer = setTimeout(() => {
+                this.queueTimer = null;
+                this._processQueue();
+            }, delay);
+        }
     }
 
     /**
@@ -61,9 +234,11 @@ export class RateLimiter {
      */
     async _processQueue() {
         while (this.queue.length > 0 && this._canProceed()) {
-            const { task, resolve, reject } = this.queue.shift();
+            const { task, resolve, reject, detach } = this.queue.shift();
+            detach?.();
             this._executeTask(task, resolve, reject);
         }
+        this._scheduleQueueCheck();
     }
 
     /**
@@ -87,21 +262,33 @@ export class RateLimiter {
     /**
      * Schedule a task to run when rate limits allow
      * @param {Function} task - Async function to execute
+     * @param {AbortSignal} signal - Optional; aborting removes the task from the queue and rejects it
      * @returns {Promise} - Resolves with task result
      */
-    async schedule(task) {
+    async schedule(task, signal = null) {
         return new Promise((resolve, reject) => {
-            if (this._canProceed()) {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            if (this.queue.length === 0 && this._canProceed()) {
                 this._executeTask(task, resolve, reject);
-            } else {
-                this.queue.push({ task, resolve, reject });
+                return;
+            }
 
-                // Set a timeout to retry processing the queue
-                const delay = this._getDelayMs();
-                if (delay > 0) {
-                    setTimeout(() => this._processQueue(), delay);
-                }
+            const entry = { task, resolve, reject };
+            if (signal) {
+                const onAbort = () => {
+                    const index = this.queue.indexOf(entry);
+                    if (index >= 0) this.queue.splice(index, 1);
+                    reject(signal.reason);
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                entry.detach = () => signal.removeEventListener('abort', onAbort);
             }
+            this.queue.push(entry);
+            this._scheduleQueueCheck();
         });
     }
 
@@ -158,11 +345,56 @@ export class RateLimiter {
 }
 
 /**
- * Create a rate limiter for validation API requests (RPM-focused)
+ * Per-host limiters, so CrossRef, OpenAlex and the LLM endpoint are throttled independently
+ */
+const hostLimiters = new Map();
+
+/**
+ * Options for limiters of hosts without explicit configuration
+ */
+let defaultHostLimits = {
+    maxConcurrent: 10, // Reasonable concurrency for validation
+    requestsPerMinute: 50
+};
+
+/**
+ * Get the host of a URL, used as limiter key
+ */
+function getHostKey(url) {
+    try {
+        return new URL(url).host;
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Discard all host limiters (and what they learned) and set the limits for new ones
+ * @param {Object} options - Default RateLimiter options for every host
+ */
+export function configureHostRateLimits(options) {
+    defaultHostLimits = { ...defaultHostLimits, ...options };
+    hostLimiters.clear();
+}
+
+/**
+ * Use specific limits for the host of a URL, e.g. the LLM endpoint
+ * @param {string} url - Any URL on the host
+ * @param {Object} options - RateLimiter options
  */
-export function createValidationRateLimiter(requestsPerMinute = 50) {
-    return new RateLimiter({
-        maxConcurrent: 10, // Reasonable concurrency for validation
-        requestsPerMinute
-    });
+export function configureHostRateLimiter(url, options) {
+    hostLimiters.set(getHostKey(url), new RateLimiter(options));
+}
+
+/**
+ * Get the rate limiter for the host of a URL, creating it with the default limits
+ * @param {string} url - Request URL
+ * @returns {RateLimiter}
+ */
+export function getHostRateLimiter(url) {
+    const host = getHostKey(url);
+    if (!hostLimiters.has(host)) {
+        hostLimiters.set(host, new RateLimiter(defaultHostLimits));
+    }
+    return hostLimiters.get(host);
 }
@@ -0,0 +1,97 @@
+/**
+ * Reference section detection utilities for imported documents
+ */
+
+/**
+ * Headings that introduce a reference list (English and German)
+ * Allows optional chapter numbering like "7." or "7.1" and a trailing colon
+ */
+const REFERENCE_HEADING = /^\s*(?:(?:\d+\.)*\d*\.?\s*)?(references|reference list|bibliography|works cited|literature cited|cited literature|literatur|literaturverzeichnis|quellen|quellenverzeichnis|literatur- und quellenverzeichnis)\s*:?\s*$/i;
+
+/**
+ * Headings that typically follow the reference list and end it
+ */
+const SECTION_END_HEADING = /^\s*(?:(?:\d+\.)*\d*\.?\s*)?(appendix|appendices|anhang|supplementary material|acknowledg(e)?ments?|danksagung|eidesstattliche erkl(ä|ae)rung|declaration of authorship|selbstst(ä|ae)ndigkeitserkl(ä|ae)rung|abbildungsverzeichnis|tabellenverzeichnis|list of figures|list of tables)\b.{0,40}$/i;
+
+/**
+ * Check whether a line is a reference section heading
+ */
+export function isReferenceHeading(line) {
+    return REFERENCE_HEADING.test(line);
+}
+
+/**
+ * Find the reference section in a list of lines or paragraphs.
+ * Uses the LAST matching heading, since the first one is usually the table of contents.
+ * @param {Array<string>} lines - Document lines or paragraphs
+ * @returns {{start: number, end: number, found: boolean}} - Line range [start, end) of the section body
+ */
+export function findReferenceSection(lines) {
+    let headingIndex = -1;
+    for (let i = lines.length - 1; i >= 0; i--) {
+        if (isReferenceHeading(lines[i])) {
+            headingIndex = i;
+            break;
+        }
+    }
+
+    if (headingIndex < 0) {
+        return { start: 0, end: lines.length, found: false };
+    }
+
+    let end = lines.length;
+    for (let i = headingIndex + 1; i < lines.length; i++) {
+        if (SECTION_END_HEADING.test(lines[i])) {
+            end = i;
+            break;
+        }
+    }
+
+    return { start: headingIndex + 1, end, found: true };
+}
+
+/**
+ * Check whether a line starts with an explicit entry number like "[12]", "12." or "12)"
+ */
+export function startsWithEntryNumber(line) {
+    return /^\s*(\[\d{1,3}\]|\d{1,3}[.)])\s+\S/.test(line);
+}
+
+/**
+ * Join a continuation line onto the previous text, undoing line-break hyphenation.
+ * - "inter-" + "national" -> "international" (soft hyphen at line break)
+ * - "Smith-" + "Jones" / "123-" + "145" -> hyphen kept, no space
+ * - URLs and DOIs broken after "/", "." or "_" are joined without a space
+ */
+export function joinLines(previous, next) {
+    const prev = previous.replace(/\s+$/, '');
+    const cont = next.replace(/^\s+/, '');
+
+    if (!prev) return cont;
+    if (!cont) return prev;
+
+    // Soft hyphen (U+00AD) always marks a break opportunity, never a real hyphen
+    if (prev.endsWith('\u00AD')) {
+        return prev.slice(0, -1) + cont;
+    }
+
+    if (/[A-Za-zÀ-ÿ]-$/.test(prev)) {
+        if (/^[a-zà-ÿ]/.test(cont)) {
+            return prev.slice(0, -1) + cont;
+        }
+        return prev + cont;
+    }
+
+    // Numeric ranges split after the dash (pages, years)
+    if (/\d[-–]$/.test(prev) && /^\d/.test(cont)) {
+        return prev + cont;
+    }
+
+    // Identifiers split across lines
+    const lastToken = prev.split(/\s+/).pop();
+    if (/(:\/\/|^(doi:)?10\.\d{4,})/i.test(lastToken) && /[/._-]$/.test(lastToken)) {
+        return prev + cont;
+    }
+
+    return prev + ' ' + cont;
+}
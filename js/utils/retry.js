@@ -0,0 +1,151 @@
+/**
+ * Shared retry policy for LLM and validation API requests
+ */
+
+import { getHostRateLimiter } from './rate-limiter.js';
+
+/**
+ * HTTP statuses worth retrying: timeouts, rate limits and transient server errors
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+
+/**
+ * Current policy, configured from settings when processing starts
+ */
+const retryPolicy = {
+    maxAttempts: 4,
+    onRetry: null
+};
+
+/**
+ * Configure the shared retry policy
+ * @param {Object} options
+ * @param {number} options.maxAttempts - Total attempts per request, including the first
+ * @param {Function} options.onRetry - Called before each retry with {label, attempt, maxAttempts, status, delayMs}
+ */
+export function configureRetryPolicy(options = {}) {
+    if (options.maxAttempts !== undefined) {
+        retryPolicy.maxAttempts = Math.max(1, parseInt(options.maxAttempts, 10) || 1);
+    }
+    if (options.onRetry !== undefined) {
+        retryPolicy.onRetry = options.onRetry;
+    }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @returns {number|null} - Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Read Gemini's RetryInfo hint ("retryDelay": "13s") from an error response body
+ * @returns {Promise<number|null>} - Delay in milliseconds
+ */
+async function parseGeminiRetryDelay(response) {
+    try {
+        const data = await response.clone().json();
+        const retryInfo = (data.error?.details || []).find(d => d['@type']?.endsWith('RetryInfo'));
+        const seconds = parseFloat(retryInfo?.retryDelay);
+        return isNaN(seconds) ? null : seconds * 1000;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Get the server's requested delay from a response, if any
+ * @returns {Promise<number|null>} - Delay in milliseconds
+ */
+export async function getRetryHint(response) {
+    return parseRetryAfter(response.headers.get('Retry-After')) ?? await parseGeminiRetryDelay(response);
+}
+
+/**
+ * Exponential backoff with jitter: a random delay between half and all of base * 2^(attempt - 1)
+ */
+function getBackoffDelay(attempt) {
+    const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Wait for the given number of milliseconds, rejecting early if the signal is aborted
+ */
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * fetch() with the shared retry policy. Every attempt goes through the rate limiter of the
+ * URL's host, which adapts to the response. Retries network errors and retryable HTTP statuses,
+ * waiting for the server's Retry-After / retryDelay hint if given, exponential backoff otherwise.
+ * The last response is returned as-is once attempts are exhausted, so callers keep their error handling.
+ * Aborting options.signal cancels the request, a queued attempt or the wait before a retry.
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @param {string} label - Name of the service, used in retry notifications
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRetry(url, options = {}, label = 'API') {
+    const { maxAttempts } = retryPolicy;
+    const limiter = getHostRateLimiter(url);
+
+    for (let attempt = 1; ; attempt++) {
+        let response = null;
+        let networkError = null;
+
+        try {
+            response = await limiter.schedule(() => fetch(url, options), options.signal);
+        } catch (e) {
+            if (options.signal?.aborted) throw e;
+            networkError = e;
+        }
+
+        const retryable = networkError ? true : RETRYABLE_STATUSES.includes(response.status);
+        const hint = response && retryable ? await getRetryHint(response) : null;
+        if (response) {
+            limiter.observeResponse(response, hint);
+        }
+
+        if (!retryable || attempt >= maxAttempts) {
+            if (networkError) throw networkError;
+            return response;
+        }
+
+        const delayMs = hint !== null ? Math.min(hint, MAX_DELAY_MS) + Math.round(Math.random() * 250) : getBackoffDelay(attempt);
+
+        retryPolicy.onRetry?.({
+            label,
+            attempt,
+            maxAttempts,
+            status: response ? response.status : 'network error',
+            delayMs
+        });
+
+        await sleep(delayMs, options.signal);
+    }
+}
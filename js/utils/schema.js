@@ -0,0 +1,109 @@
+/**
+ * Minimal JSON Schema validation (the subset used by the extraction schema)
+ */
+
+/**
+ * Get the JSON type of a value as used by JSON Schema
+ */
+function getType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Coerce lossless scalar deviations (2023 vs "2023") to the expected type
+ * @returns {*} - The coerced value, or undefined if no lossless coercion exists
+ */
+function coerceScalar(value, type) {
+    if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+        return String(value);
+    }
+    if (type === 'integer' && typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return undefined;
+}
+
+/**
+ * Format a value for an error message
+ */
+function describeValue(value) {
+    const text = JSON.stringify(value);
+    return text && text.length > 60 ? text.substring(0, 57) + '...' : String(text);
+}
+
+/**
+ * Validate a value against a schema. Invalid parts are dropped from the returned value
+ * so downstream code only sees well-typed fields; every problem is reported in `errors`.
+ * Supports type, enum, properties, required, additionalProperties: false and items.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {{value: *, errors: Array<{field: string, message: string}>}} - value is undefined if invalid
+ */
+export function validateAgainstSchema(value, schema, path = '') {
+    const errors = [];
+    const field = path || '(root)';
+    let actualType = getType(value);
+
+    if (schema.type && actualType !== schema.type &&
+        !(schema.type === 'number' && actualType === 'integer')) {
+        const coerced = coerceScalar(value, schema.type);
+        if (coerced === undefined) {
+            errors.push({ field, message: `Expected ${schema.type}, got ${actualType} ${describeValue(value)}` });
+            return { value: undefined, errors };
+        }
+        value = coerced;
+        actualType = schema.type;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field, message: `Expected one of ${schema.enum.join(', ')}, got ${describeValue(value)}` });
+        return { value: undefined, errors };
+    }
+
+    if (actualType === 'array' && schema.items) {
+        const items = [];
+        value.forEach((item, i) => {
+            const result = validateAgainstSchema(item, schema.items, `${path}[${i}]`);
+            errors.push(...result.errors);
+            if (result.value !== undefined) items.push(result.value);
+        });
+        return { value: items, errors };
+    }
+
+    if (actualType === 'object' && schema.properties) {
+        const cleaned = {};
+        for (const [key, propValue] of Object.entries(value)) {
+            const propPath = path ? `${path}.${key}` : key;
+            const propSchema = schema.properties[key];
+            if (!propSchema) {
+                if (schema.additionalProperties === false) {
+                    errors.push({ field: propPath, message: 'Unexpected field' });
+                } else {
+                    cleaned[key] = propValue;
+                }
+                continue;
+            }
+            // Treat null like an omitted field
+            if (propValue === null) continue;
+
+            const result = validateAgainstSchema(propValue, propSchema, propPath);
+            errors.push(...result.errors);
+            if (result.value !== undefined) cleaned[key] = result.value;
+        }
+        for (const key of schema.required || []) {
+            if (cleaned[key] === undefined && !errors.some(e => e.field === (path ? `${path}.${key}` : key))) {
+                errors.push({ field: path ? `${path}.${key}` : key, message: 'Required field missing' });
+            }
+        }
+        return { value: cleaned, errors };
+    }
+
+    return { value, errors };
+}
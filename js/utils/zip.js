@@ -0,0 +1,87 @@
+/**
+ * Minimal ZIP reader using the browser's native DecompressionStream
+ * Supports stored and deflated entries, which covers Office Open XML files
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+/**
+ * Locate the End Of Central Directory record (searching backwards past an optional comment)
+ */
+function findEndOfCentralDirectory(view) {
+    const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+        if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+            return offset;
+        }
+    }
+    throw new Error('Not a valid ZIP file');
+}
+
+/**
+ * Read the central directory into a list of entries
+ * @returns {Array<{name: string, method: number, compressedSize: number, localHeaderOffset: number}>}
+ */
+function readCentralDirectory(view, bytes) {
+    const eocd = findEndOfCentralDirectory(view);
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+
+        entries.push({
+            name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localHeaderOffset: view.getUint32(offset + 42, true)
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Inflate raw deflate data
+ */
+async function inflateRaw(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read a single file from a ZIP archive
+ * @param {ArrayBuffer} buffer - The ZIP archive
+ * @param {string} name - Path of the entry inside the archive
+ * @returns {Promise<Uint8Array|null>} - Entry contents, or null if the entry does not exist
+ */
+export async function readZipEntry(buffer, name) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    const entry = readCentralDirectory(view, bytes).find(e => e.name === name);
+    if (!entry) return null;
+
+    const local = entry.localHeaderOffset;
+    if (view.getUint32(local, true) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error('Corrupt ZIP local header');
+    }
+    const dataStart = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return await inflateRaw(data);
+    throw new Error(`Unsupported ZIP compression method: ${entry.method}`);
+}
@@ -1,14 +1,29 @@
 /**
  * Windowing module - splits text into overlapping windows for LLM processing
- * Uses character-based windowing for reliable text chunking
+ * Supports character-based windowing and entry-boundary-aware windowing
  */
 
+/**
+ * Entry numbering at the start of a line: "[12]", "12.", "12)"
+ */
+const ENTRY_NUMBER_PATTERN = /^\s*(?:\[\d{1,3}\]|\d{1,3}[.)])\s+\S/;
+
+/**
+ * Author-year entry start: "Smith, J.", "Smith, John", "van der Berg, A.", "Smith JA,"
+ */
+const AUTHOR_START_PATTERN = /^(?:(?:van|von|de|der|den|da|di|du|la|le)\s+)*[A-ZÀ-Þ][\p{L}'’-]+(?:\s[A-ZÀ-Þ][\p{L}'’-]+)?(?:,\s+[A-ZÀ-Þ]|\s[A-Z]{1,3}[,.])/u;
+
+/**
+ * Line endings that can close a bibliography entry
+ */
+const ENTRY_END_PATTERN = /(?:[.)\]]|\d|\/\S+)\s*$/;
+
 /**
  * Split text into overlapping windows based on character count
  * @param {string} text - The full bibliography text
  * @param {number} windowSize - Number of characters per window
  * @param {number} overlap - Number of overlapping characters between windows
- * @returns {Array<{index: number, start: number, end: number, length: number, text: string}>}
+ * @returns {Array<{index: number, start: number, end: number, startLine: number, endLine: number, length: number, text: string}>}
  */
 function createWindows(text, windowSize, overlap) {
     if (!text || !text.trim()) {
@@ -56,9 +71,189 @@ function createWindows(text, windowSize, overlap) {
         }
     }
 
+    return addLineRanges(text, windows);
+}
+
+/**
+ * Set the line range of each window (1-based, inclusive).
+ * A window starting or ending mid-line includes that line.
+ */
+function addLineRanges(text, windows) {
+    const lineStarts = getLines(text).map(line => line.start);
+
+    const lineAt = (charPos) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= charPos) low = mid;
+            else high = mid - 1;
+        }
+        return low + 1;
+    };
+
+    for (const w of windows) {
+        w.startLine = lineAt(w.start);
+        w.endLine = lineAt(Math.max(w.start, w.end - 1));
+    }
+
     return windows;
 }
 
+/**
+ * Split text into lines with their character offsets
+ */
+function getLines(text) {
+    const lines = [];
+    const lineRegex = /[^\r\n]*(?:\r\n|\r|\n|$)/g;
+    let match;
+    while ((match = lineRegex.exec(text)) !== null) {
+        if (match[0] === '') break;
+        const content = match[0].replace(/[\r\n]+$/, '');
+        lines.push({ text: content, start: match.index, end: match.index + content.length });
+    }
+    return lines;
+}
+
+/**
+ * Detect bibliography entry boundaries.
+ * Uses, in order of preference: entry numbering, blank lines between entries,
+ * hanging indents, author-year entry starts, and finally one entry per line.
+ * @param {string} text - The full bibliography text
+ * @returns {Array<{start: number, end: number}>} - Entry spans without surrounding whitespace
+ */
+function detectEntryBoundaries(text) {
+    if (!text || !text.trim()) {
+        return [];
+    }
+
+    const lines = getLines(text);
+    const nonBlank = lines.filter(l => l.text.trim());
+    const numbered = nonBlank.filter(l => ENTRY_NUMBER_PATTERN.test(l.text)).length;
+    const blockSizes = [];
+    lines.forEach((l, i) => {
+        if (!l.text.trim()) return;
+        if (i === 0 || !lines[i - 1].text.trim()) blockSizes.push(0);
+        blockSizes[blockSizes.length - 1]++;
+    });
+    const blockCount = blockSizes.length;
+    const indented = nonBlank.filter(l => /^\s+\S/.test(l.text)).length;
+    const authorStarts = nonBlank.filter((l, i) =>
+        i > 0 && AUTHOR_START_PATTERN.test(l.text) && ENTRY_END_PATTERN.test(nonBlank[i - 1].text)
+    ).length;
+
+    let isEntryStart;
+    let inPreamble = false;
+    if (numbered >= 2 && numbered >= nonBlank.length * 0.2) {
+        // Lines before the first numbered entry (e.g. a heading) are not an entry
+        inPreamble = true;
+        isEntryStart = (line) => ENTRY_NUMBER_PATTERN.test(line.text);
+    } else if (blockCount >= 2 && blockCount >= nonBlank.length * 0.2 &&
+               Math.max(...blockSizes) <= nonBlank.length * 0.5) {
+        // Blank lines only separate entries if no block holds most of the text
+        // (a heading followed by a blank line does not make one)
+        isEntryStart = (line, prev, afterBlank) => afterBlank;
+    } else if (indented > 0 && indented < nonBlank.length) {
+        isEntryStart = (line) => !/^\s/.test(line.text);
+    } else if (authorStarts > 0) {
+        isEntryStart = (line, prev) => AUTHOR_START_PATTERN.test(line.text) && ENTRY_END_PATTERN.test(prev.text);
+    } else {
+        isEntryStart = () => true;
+    }
+
+    const entries = [];
+    let current = null;
+    let prev = null;
+    let afterBlank = true;
+
+    for (const line of lines) {
+        if (!line.text.trim()) {
+            afterBlank = true;
+            continue;
+        }
+        if (inPreamble) {
+            if (!isEntryStart(line)) continue;
+            inPreamble = false;
+        }
+        if (!current || isEntryStart(line, prev, afterBlank)) {
+            if (current) entries.push(current);
+            current = { start: line.start + (line.text.length - line.text.trimStart().length), end: line.end };
+        }
+        // Trailing whitespace does not belong to the entry
+        current.end = line.start + line.text.trimEnd().length;
+        prev = line;
+        afterBlank = false;
+    }
+    if (current) entries.push(current);
+
+    return entries;
+}
+
+/**
+ * Split text into windows of whole entries.
+ * Entries are packed into a window until the size limit is reached; entries longer
+ * than a window fall back to character windows. Windows cover the text without gaps,
+ * so the overlap only applies inside those fallback windows.
+ * @param {string} text - The full bibliography text
+ * @param {number} windowSize - Maximum number of characters per window
+ * @param {number} overlap - Overlap for character windows of overlong entries
+ * @returns {Array<{index: number, start: number, end: number, startLine: number, endLine: number, length: number, text: string}>}
+ */
+function createEntryWindows(text, windowSize, overlap) {
+    if (!text || !text.trim()) {
+        return [];
+    }
+
+    if (windowSize <= 0) windowSize = 2000;
+
+    // Extend entries so they cover the separators up to the next entry
+    const entries = detectEntryBoundaries(text).map((entry, i, all) => ({
+        start: i === 0 ? 0 : entry.start,
+        end: i === all.length - 1 ? text.length : all[i + 1].start
+    }));
+
+    const windows = [];
+    let current = null;
+
+    function pushWindow(start, end) {
+        windows.push({
+            index: windows.length,
+            start: start,
+            end: end,
+            length: end - start,
+            text: text.slice(start, end)
+        });
+    }
+
+    for (const entry of entries) {
+        if (current && entry.end - current.start > windowSize) {
+            pushWindow(current.start, current.end);
+            current = null;
+        }
+
+        if (entry.end - entry.start > windowSize) {
+            // Entry too long for one window - fall back to character windows
+            const entryWindows = createWindows(text.slice(entry.start, entry.end), windowSize, overlap);
+            for (const w of entryWindows) {
+                pushWindow(entry.start + w.start, entry.start + w.end);
+            }
+            continue;
+        }
+
+        if (current) {
+            current.end = entry.end;
+        } else {
+            current = { start: entry.start, end: entry.end };
+        }
+    }
+
+    if (current) {
+        pushWindow(current.start, current.end);
+    }
+
+    return addLineRanges(text, windows);
+}
+
 /**
  * Get statistics about the windowing
  * @param {string} text - Original text
@@ -78,5 +273,7 @@ function getWindowStats(text, windows) {
 // Export
 window.Windowing = {
     createWindows,
+    createEntryWindows,
+    detectEntryBoundaries,
     getWindowStats
 };